@@ -24,13 +24,19 @@ export const useDataStore = defineStore(
       mapInstance.value = map;
     };
 
-    // 導航到台灣
-    const navigateToTaiwan = () => {
+    // 目前的投影中心 [經度, 緯度]（由地圖組件在導航完成後回寫）
+    const currentCenter = ref([...taiwanCenter]);
+    const setCurrentCenter = (center) => {
+      currentCenter.value = [center[0], center[1]];
+    };
+
+    // 導航到指定位置（以該點為方位等距投影中心）
+    const navigateToLocation = (center) => {
       if (!mapInstance.value) {
         console.error('❌ 地圖實例未準備就緒');
         setTimeout(() => {
           if (mapInstance.value) {
-            navigateToTaiwan();
+            navigateToLocation(center);
           }
         }, 1000);
         return;
@@ -38,18 +44,26 @@ export const useDataStore = defineStore(
 
       try {
         if (mapInstance.value.navigateToLocation) {
-          mapInstance.value.navigateToLocation(taiwanCenter);
-          console.log('🌍 成功導航到台灣');
+          mapInstance.value.navigateToLocation(center);
         }
       } catch (error) {
         console.error('❌ 地圖導航失敗:', error);
       }
     };
 
+    // 導航到台灣
+    const navigateToTaiwan = () => {
+      navigateToLocation(taiwanCenter);
+      console.log('🌍 導航到台灣');
+    };
+
     return {
       taiwanCenter,
       mapInstance,
       setMapInstance,
+      currentCenter,
+      setCurrentCenter,
+      navigateToLocation,
       navigateToTaiwan,
     };
   },
@@ -9,6 +9,8 @@
  * 2. 📍 保存地圖視圖狀態（中心點、縮放級別）
  * 3. 🔄 提供底圖切換和視圖更新功能
  * 4. 💾 支援狀態持久化，保持用戶偏好設定
+ * 5. 🗂️ 管理地圖圖層的順序、顯示與透明度（保存在 localStorage）
+ * 6. 🎨 管理地圖主題（所有顏色、線寬與字級），支援預設主題與 JSON 匯入 / 匯出（保存在 localStorage）
  *
  * 🏗️ 技術架構：
  * - Pinia 狀態管理庫
@@ -28,6 +30,181 @@
 
 // 🔧 Pinia 狀態管理引入 (Pinia State Management Import)
 import { defineStore } from 'pinia';
+import {
+  DEFAULT_THEME,
+  THEME_PRESETS,
+  createMapStyle,
+  mergeMapStyle,
+  serializeMapStyle,
+  parseMapStyleFile,
+} from '@/utils/mapTheme.js';
+
+// 🔍 地圖縮放倍率範圍 (Map Zoom Limits)
+// 縮放倍率 1 表示最外圈剛好容納在畫面內；實際上限會依圓圈組內外圈的比例再收窄
+export const MAP_ZOOM_LIMITS = { min: 0.5, max: 5000 };
+
+// 🗂️ 內建圖層 (Built-in Layers)
+// 陣列順序即繪製順序：第一個在最上層，最後一個在最下層
+const DEFAULT_LAYERS = [
+  { id: 'measurements', label: '量測', visible: true, opacity: 1 },
+  { id: 'cities', label: '城市', visible: true, opacity: 1 },
+  { id: 'routes', label: '航線', visible: true, opacity: 1 },
+  { id: 'rings', label: '距離圓圈', visible: true, opacity: 1 },
+  { id: 'bearings', label: '方位線', visible: true, opacity: 1 },
+  { id: 'graticule', label: '經緯網', visible: true, opacity: 1 },
+  { id: 'countries', label: '國家', visible: true, opacity: 1 },
+];
+
+// 💾 圖層設定在 localStorage 中的鍵值 (Layer Config Storage Key)
+const LAYER_STORAGE_KEY = 'map-layer-config';
+
+/**
+ * 📥 讀取保存的圖層設定 (Load Saved Layer Config)
+ *
+ * 只還原內建圖層的順序、顯示與透明度；保存後才新增的內建圖層會依預設位置補上。
+ *
+ * @returns {Array<Object>} 圖層設定陣列
+ */
+function loadLayerConfig() {
+  const defaults = DEFAULT_LAYERS.map((layer) => ({ ...layer }));
+
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(LAYER_STORAGE_KEY) || '[]');
+    if (!Array.isArray(saved)) return defaults;
+
+    const layers = saved
+      .map((entry) => {
+        const layer = defaults.find((item) => item.id === entry?.id);
+        if (!layer) return null;
+        return {
+          ...layer,
+          visible: entry.visible !== false,
+          opacity: Number.isFinite(entry.opacity) ? Math.min(Math.max(entry.opacity, 0), 1) : 1,
+        };
+      })
+      .filter(Boolean);
+
+    defaults.forEach((layer, index) => {
+      if (!layers.some((item) => item.id === layer.id)) {
+        layers.splice(Math.min(index, layers.length), 0, layer);
+      }
+    });
+
+    return layers;
+  } catch (error) {
+    console.warn('⚠️ [DefineStore] 無法讀取圖層設定，使用預設值:', error);
+    return defaults;
+  }
+}
+
+/**
+ * 💾 保存圖層設定 (Save Layer Config)
+ *
+ * 使用者匯入的圖層資料不會保存，因此只保存內建圖層。
+ *
+ * @param {Array<Object>} layers - 圖層設定陣列
+ */
+function saveLayerConfig(layers) {
+  try {
+    const builtIn = layers
+      .filter((layer) => DEFAULT_LAYERS.some((item) => item.id === layer.id))
+      .map(({ id, visible, opacity }) => ({ id, visible, opacity }));
+    window.localStorage.setItem(LAYER_STORAGE_KEY, JSON.stringify(builtIn));
+  } catch (error) {
+    console.warn('⚠️ [DefineStore] 無法保存圖層設定:', error);
+  }
+}
+
+// 💾 主題在 localStorage 中的鍵值 (Theme Storage Key)
+const THEME_STORAGE_KEY = 'map-theme';
+
+/**
+ * 📥 讀取保存的主題 (Load Saved Theme)
+ *
+ * 保存的內容無效時使用預設主題。
+ *
+ * @returns {Object} { themeId, mapStyle }
+ */
+function loadTheme() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(THEME_STORAGE_KEY) || 'null');
+    if (saved?.mapStyle) {
+      return {
+        themeId: typeof saved.themeId === 'string' ? saved.themeId : 'custom',
+        mapStyle: mergeMapStyle(createMapStyle(), saved.mapStyle),
+      };
+    }
+  } catch (error) {
+    console.warn('⚠️ [DefineStore] 無法讀取主題設定，使用預設值:', error);
+  }
+  return { themeId: DEFAULT_THEME, mapStyle: createMapStyle() };
+}
+
+/**
+ * 💾 保存主題 (Save Theme)
+ *
+ * @param {string} themeId - 主題 id（修改過的主題為 'custom'）
+ * @param {Object} mapStyle - 完整的主題
+ */
+function saveTheme(themeId, mapStyle) {
+  try {
+    window.localStorage.setItem(THEME_STORAGE_KEY, JSON.stringify({ themeId, mapStyle }));
+  } catch (error) {
+    console.warn('⚠️ [DefineStore] 無法保存主題設定:', error);
+  }
+}
+
+const initialTheme = loadTheme();
+
+// 🗺️ 內建底圖選項 (Built-in Basemaps)
+// url 為 XYZ 圖磚網址模板（格式見 ../utils/rasterTiles.js），'none' 表示不顯示底圖
+const DEFAULT_BASEMAPS = [
+  {
+    label: '無', // 底圖顯示名稱
+    value: 'none', // 底圖唯一標識符
+    url: null,
+    attribution: '',
+    description: '只顯示向量圖層',
+  },
+  {
+    label: 'Carto Dark',
+    value: 'carto_dark',
+    url: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png', // 底圖瓦片 URL 模板
+    subdomains: 'abcd',
+    maxZoom: 20,
+    attribution: '© CartoDB, © OpenStreetMap contributors', // 底圖版權信息
+    description: '深色主題的標準地圖，適合夜間使用', // 底圖描述
+  },
+  {
+    label: 'Carto Light',
+    value: 'carto_light',
+    url: 'https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png',
+    subdomains: 'abcd',
+    maxZoom: 20,
+    attribution: '© CartoDB, © OpenStreetMap contributors',
+    description: '淺色主題的標準地圖，適合日間使用',
+  },
+];
+
+// 💾 選擇的底圖在 localStorage 中的鍵值 (Basemap Storage Key)
+const BASEMAP_STORAGE_KEY = 'map-basemap';
+
+/**
+ * 📥 讀取保存的底圖選擇 (Load Saved Basemap)
+ *
+ * 只接受內建底圖；本機資料夾的圖磚無法保存，重新開啟後不顯示底圖。
+ *
+ * @returns {string} 底圖值
+ */
+function loadSelectedBasemap() {
+  try {
+    const saved = window.localStorage.getItem(BASEMAP_STORAGE_KEY);
+    if (DEFAULT_BASEMAPS.some((basemap) => basemap.value === saved)) return saved;
+  } catch (error) {
+    console.warn('⚠️ [DefineStore] 無法讀取底圖設定，使用預設值:', error);
+  }
+  return 'none';
+}
 
 /**
  * 🏪 定義存儲商店 (Define Store Definition)
@@ -42,58 +219,31 @@ export const useDefineStore = defineStore('define', {
    */
   state: () => ({
     // 🗺️ 當前選中的底圖類型 (Current Selected Basemap Type)
-    // 固定為標準地圖，確保一致的地圖顯示效果
-    selectedBasemap: 'carto_dark',
+    // 預設不顯示底圖（'none'），選擇後圖磚會重投影繪製在向量圖層下方
+    selectedBasemap: loadSelectedBasemap(),
 
     // 🗺️ 地圖視圖狀態 (Map View State)
-    // 包含地圖的中心點和縮放級別信息
+    // 包含地圖的中心點和縮放倍率信息，由地圖組件在平移、縮放與導航後同步寫入
     mapView: {
       center: [25.04583, 121.51972], // 地圖中心點 [緯度, 經度] - 台灣台北
-      zoom: 16, // 縮放等級（調整到16級，顯示詳細的內容）
+      zoom: 1, // 縮放倍率（1 = 最外圈剛好容納在畫面內）
     },
 
     // 🗺️ 底圖配置列表 (Basemap Configuration List)
-    // 定義可用的底圖選項，目前僅保留標準地圖
-    basemaps: [
-      {
-        label: 'Carto Dark', // 底圖顯示名稱
-        value: 'carto_dark', // 底圖唯一標識符
-        url: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png', // 底圖瓦片 URL 模板
-        attribution: '© CartoDB, © OpenStreetMap contributors', // 底圖版權信息
-        description: '深色主題的標準地圖，適合夜間使用', // 底圖描述
-      },
-      // 🔮 未來可擴展的底圖選項 (Future Expandable Basemap Options)
-      // {
-      //   label: 'Carto Light',
-      //   value: 'carto_light',
-      //   url: 'https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png',
-      //   attribution: '© CartoDB, © OpenStreetMap contributors',
-      //   description: '淺色主題的標準地圖，適合日間使用'
-      // },
-      // {
-      //   label: 'OpenStreetMap',
-      //   value: 'osm',
-      //   url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
-      //   attribution: '© OpenStreetMap contributors',
-      //   description: '開源地圖，由社群維護'
-      // }
-    ],
+    // 內建底圖之外，地圖組件可以透過 addBasemap 加入本機圖磚資料夾
+    basemaps: DEFAULT_BASEMAPS.map((basemap) => ({ ...basemap })),
 
     // 🎨 地圖樣式配置 (Map Style Configuration)
-    mapStyle: {
-      // 國家顏色配置
-      countryColors: {
-        taiwan: '#ff9999', // 台灣特殊顏色
-        visited: '#666666', // 已造訪國家顏色
-        unvisited: 'transparent', // 未造訪國家顏色（透明）
-      },
-      // 邊界線樣式
-      borderStyle: {
-        color: 'none', // 邊界線顏色（無邊界設計）
-        width: 0, // 邊界線寬度
-        opacity: 0, // 邊界線透明度
-      },
-    },
+    // 地圖的所有視覺參數：background、countryColors、borderStyle、graticule、rings、cities、labels
+    // 各欄位與預設主題定義在 ../utils/mapTheme.js
+    mapStyle: initialTheme.mapStyle,
+
+    // 🎨 目前套用的主題 id（手動調整或匯入後為 'custom'）
+    mapThemeId: initialTheme.themeId,
+
+    // 🗂️ 圖層設定 (Layer Config)
+    // 由上而下為繪製順序的上層到下層，包含內建圖層與使用者匯入的圖層（id 為 user-N）
+    layers: loadLayerConfig(),
   }),
 
   /**
@@ -125,22 +275,64 @@ export const useDefineStore = defineStore('define', {
 
       // 📝 更新選中的底圖 (Update Selected Basemap)
       this.selectedBasemap = value;
+      try {
+        window.localStorage.setItem(BASEMAP_STORAGE_KEY, value);
+      } catch (error) {
+        console.warn('⚠️ [DefineStore] 無法保存底圖設定:', error);
+      }
       console.log('🗺️ [DefineStore] 底圖已切換至:', value);
     },
 
+    /**
+     * ➕ 加入或取代底圖選項 (Add Basemap)
+     *
+     * 用於本機圖磚資料夾等執行期間才知道的來源；相同 value 的選項會被取代。
+     * 圖磚檔案本身由地圖組件保存，這裡只記錄顯示用的設定。
+     *
+     * @param {Object} basemap - 底圖配置
+     * @param {string} basemap.value - 底圖唯一標識符
+     * @param {string} basemap.label - 底圖顯示名稱
+     * @param {string|null} [basemap.url] - 圖磚網址模板（本機資料夾為 null）
+     * @param {number} [basemap.minZoom] - 最小縮放等級
+     * @param {number} [basemap.maxZoom] - 最大縮放等級
+     * @param {boolean} [basemap.tms] - 列號是否由南往北
+     * @param {string} [basemap.attribution] - 版權信息
+     * @throws {Error} 當配置格式不正確時拋出錯誤
+     *
+     * @example
+     * defineStore.addBasemap({ value: 'local_folder', label: 'world', maxZoom: 4 });
+     */
+    addBasemap(basemap) {
+      if (!basemap || typeof basemap.value !== 'string' || !basemap.value) {
+        console.error('❌ [DefineStore] 無效的底圖配置:', basemap);
+        throw new Error('底圖配置必須包含 value');
+      }
+      if (typeof basemap.label !== 'string' || !basemap.label) {
+        console.error('❌ [DefineStore] 無效的底圖配置:', basemap);
+        throw new Error(`底圖 "${basemap.value}" 必須包含 label`);
+      }
+      if (DEFAULT_BASEMAPS.some((item) => item.value === basemap.value)) {
+        throw new Error(`底圖值 "${basemap.value}" 與內建底圖重複`);
+      }
+
+      const entry = { url: null, attribution: '', description: '', ...basemap };
+      this.basemaps = [...this.basemaps.filter((item) => item.value !== basemap.value), entry];
+      console.log('🗺️ [DefineStore] 已加入底圖:', basemap.label);
+    },
+
     /**
      * 🗺️ 設定地圖視圖狀態 (Set Map View State)
      *
-     * 更新地圖的中心點和縮放級別，用於地圖導航和視圖控制。
-     * 此方法會觸發地圖組件的視圖更新。
+     * 更新地圖的中心點和縮放倍率，地圖組件在平移、縮放與導航後呼叫，
+     * 讓其他組件可以讀取目前的視圖。
      *
      * @param {Array<number>} center - 地圖中心點 [緯度, 經度]
-     * @param {number} zoom - 縮放級別 (通常為 1-20)
+     * @param {number} zoom - 縮放倍率（MAP_ZOOM_LIMITS.min 到 MAP_ZOOM_LIMITS.max）
      * @throws {Error} 當參數格式不正確時拋出錯誤
      *
      * @example
-     * // 導航到日本東京
-     * defineStore.setMapView([35.6762, 139.6503], 12);
+     * // 以 4 倍縮放檢視日本東京
+     * defineStore.setMapView([35.6762, 139.6503], 4);
      */
     setMapView(center, zoom) {
       // 🔍 驗證中心點格式 (Validate Center Format)
@@ -150,9 +342,12 @@ export const useDefineStore = defineStore('define', {
       }
 
       // 🔍 驗證縮放級別 (Validate Zoom Level)
-      if (typeof zoom !== 'number' || zoom < 1 || zoom > 20) {
-        console.error('❌ [DefineStore] 無效的縮放級別:', zoom);
-        throw new Error('縮放級別必須是 1-20 之間的數字');
+      if (
+        typeof zoom !== 'number' ||
+        !(zoom >= MAP_ZOOM_LIMITS.min && zoom <= MAP_ZOOM_LIMITS.max)
+      ) {
+        console.error('❌ [DefineStore] 無效的縮放倍率:', zoom);
+        throw new Error(`縮放倍率必須是 ${MAP_ZOOM_LIMITS.min}-${MAP_ZOOM_LIMITS.max} 之間的數字`);
       }
 
       // 📝 更新地圖視圖狀態 (Update Map View State)
@@ -169,10 +364,13 @@ export const useDefineStore = defineStore('define', {
      * 🎨 更新地圖樣式配置 (Update Map Style Configuration)
      *
      * 更新地圖的顏色和樣式配置，用於自定義地圖外觀。
+     * 只需傳入要修改的欄位；未知的欄位或無效的值會拋出錯誤，不會部分套用。
      *
-     * @param {Object} styleConfig - 樣式配置對象
-     * @param {Object} styleConfig.countryColors - 國家顏色配置
-     * @param {Object} styleConfig.borderStyle - 邊界線樣式配置
+     * @param {Object} styleConfig - 樣式配置對象（群組 → 欄位 → 值）
+     * @param {Object} [styleConfig.countryColors] - 國家顏色配置
+     * @param {Object} [styleConfig.borderStyle] - 邊界線樣式配置
+     * @param {Object} [styleConfig.rings] - 距離圓圈樣式配置
+     * @throws {Error} 當樣式配置無效時拋出錯誤
      *
      * @example
      * // 更新國家顏色
@@ -191,21 +389,201 @@ export const useDefineStore = defineStore('define', {
       }
 
       // 📝 合併樣式配置 (Merge Style Configuration)
-      if (styleConfig.countryColors) {
-        this.mapStyle.countryColors = {
-          ...this.mapStyle.countryColors,
-          ...styleConfig.countryColors,
-        };
+      try {
+        this.mapStyle = mergeMapStyle(this.mapStyle, styleConfig);
+      } catch (error) {
+        console.error('❌ [DefineStore] 無效的樣式配置:', error.message);
+        throw error;
       }
 
-      if (styleConfig.borderStyle) {
-        this.mapStyle.borderStyle = {
-          ...this.mapStyle.borderStyle,
-          ...styleConfig.borderStyle,
-        };
+      this.mapThemeId = 'custom';
+      saveTheme(this.mapThemeId, this.mapStyle);
+      console.log('🎨 [DefineStore] 地圖樣式已更新:', this.mapStyle);
+    },
+
+    /**
+     * 🎨 套用預設主題 (Apply Theme Preset)
+     *
+     * @param {string} id - 主題 id（default、darkSpace、lightPrint、highContrast）
+     * @throws {Error} 當主題不存在時拋出錯誤
+     *
+     * @example
+     * defineStore.applyThemePreset('lightPrint');
+     */
+    applyThemePreset(id) {
+      if (!THEME_PRESETS[id]) {
+        console.error('❌ [DefineStore] 無效的主題:', id);
+        throw new Error(`主題 "${id}" 不存在`);
       }
 
-      console.log('🎨 [DefineStore] 地圖樣式已更新:', this.mapStyle);
+      this.mapStyle = createMapStyle(id);
+      this.mapThemeId = id;
+      saveTheme(this.mapThemeId, this.mapStyle);
+      console.log('🎨 [DefineStore] 已套用主題:', id);
+    },
+
+    /**
+     * 🔄 重置地圖樣式為預設主題 (Reset Map Style)
+     */
+    resetMapStyle() {
+      this.applyThemePreset(DEFAULT_THEME);
+    },
+
+    /**
+     * 📥 匯入主題 JSON (Import Theme JSON)
+     *
+     * 缺少的欄位使用預設值；內容無效時拋出錯誤，目前的主題保持不變。
+     *
+     * @param {string} text - 主題 JSON 文字
+     * @returns {string} 主題名稱
+     * @throws {Error} 當 JSON 格式或主題內容無效時拋出錯誤
+     */
+    importMapStyle(text) {
+      const { name, mapStyle } = parseMapStyleFile(text);
+
+      this.mapStyle = mapStyle;
+      this.mapThemeId = 'custom';
+      saveTheme(this.mapThemeId, this.mapStyle);
+      console.log('🎨 [DefineStore] 已匯入主題:', name);
+      return name;
+    },
+
+    /**
+     * 📤 匯出目前的主題為 JSON (Export Theme JSON)
+     *
+     * @returns {string} 主題 JSON 文字
+     */
+    exportMapStyle() {
+      const preset = THEME_PRESETS[this.mapThemeId];
+      return serializeMapStyle(this.mapStyle, preset ? preset.label : '自訂主題');
+    },
+
+    /**
+     * 🗂️ 新增圖層 (Add Layer)
+     *
+     * 新圖層放在距離圓圈之上、城市之下；id 已存在時不重複新增。
+     *
+     * @param {Object} layer - 圖層設定
+     * @param {string} layer.id - 圖層唯一標識符
+     * @param {string} layer.label - 圖層顯示名稱
+     *
+     * @example
+     * defineStore.addLayer({ id: 'user-1', label: '捷運站' });
+     */
+    addLayer({ id, label }) {
+      if (this.layers.some((layer) => layer.id === id)) return;
+
+      const ringsIndex = this.layers.findIndex((layer) => layer.id === 'rings');
+      const index = ringsIndex >= 0 ? ringsIndex : 0;
+      this.layers.splice(index, 0, { id, label, visible: true, opacity: 1 });
+
+      console.log('🗂️ [DefineStore] 已新增圖層:', id);
+    },
+
+    /**
+     * 🗑️ 移除圖層 (Remove Layer)
+     *
+     * @param {string} id - 圖層唯一標識符
+     * @throws {Error} 當試圖移除內建圖層時拋出錯誤
+     */
+    removeLayer(id) {
+      if (DEFAULT_LAYERS.some((layer) => layer.id === id)) {
+        console.error('❌ [DefineStore] 無法移除內建圖層:', id);
+        throw new Error(`內建圖層 "${id}" 無法移除`);
+      }
+
+      this.layers = this.layers.filter((layer) => layer.id !== id);
+    },
+
+    /**
+     * 🗑️ 移除所有使用者圖層 (Remove All User Layers)
+     *
+     * 地圖組件卸載時呼叫，因為使用者圖層的資料不會保留。
+     */
+    removeUserLayers() {
+      this.layers = this.layers.filter((layer) =>
+        DEFAULT_LAYERS.some((item) => item.id === layer.id)
+      );
+    },
+
+    /**
+     * 👁️ 設定圖層顯示 (Set Layer Visibility)
+     *
+     * @param {string} id - 圖層唯一標識符
+     * @param {boolean} visible - 是否顯示
+     */
+    setLayerVisibility(id, visible) {
+      const layer = this.layers.find((item) => item.id === id);
+      if (!layer) return;
+
+      layer.visible = Boolean(visible);
+      saveLayerConfig(this.layers);
+    },
+
+    /**
+     * 🌫️ 設定圖層透明度 (Set Layer Opacity)
+     *
+     * @param {string} id - 圖層唯一標識符
+     * @param {number} opacity - 透明度 (0-1)
+     * @throws {Error} 當透明度不是數字時拋出錯誤
+     */
+    setLayerOpacity(id, opacity) {
+      if (typeof opacity !== 'number' || Number.isNaN(opacity)) {
+        console.error('❌ [DefineStore] 無效的透明度:', opacity);
+        throw new Error('透明度必須是 0-1 之間的數字');
+      }
+
+      const layer = this.layers.find((item) => item.id === id);
+      if (!layer) return;
+
+      layer.opacity = Math.min(Math.max(opacity, 0), 1);
+      saveLayerConfig(this.layers);
+    },
+
+    /**
+     * ↕️ 移動圖層順序 (Move Layer)
+     *
+     * 由圖層面板拖曳排序時呼叫，索引以面板由上而下的順序計算。
+     *
+     * @param {number} fromIndex - 原本的位置
+     * @param {number} toIndex - 新的位置
+     *
+     * @example
+     * // 把最下層的國家移到最上層
+     * defineStore.moveLayer(defineStore.layers.length - 1, 0);
+     */
+    moveLayer(fromIndex, toIndex) {
+      const count = this.layers.length;
+      if (fromIndex === toIndex || fromIndex < 0 || fromIndex >= count) return;
+
+      const layers = [...this.layers];
+      const [moved] = layers.splice(fromIndex, 1);
+      layers.splice(Math.min(Math.max(toIndex, 0), count - 1), 0, moved);
+      this.layers = layers;
+
+      saveLayerConfig(this.layers);
+      console.log(
+        '↕️ [DefineStore] 圖層順序已更新:',
+        this.layers.map((layer) => layer.id)
+      );
+    },
+
+    /**
+     * 🔄 重置圖層設定 (Reset Layers)
+     *
+     * 內建圖層恢復預設順序、顯示與透明度，使用者圖層保留在距離圓圈之上。
+     */
+    resetLayers() {
+      const userLayers = this.layers
+        .filter((layer) => !DEFAULT_LAYERS.some((item) => item.id === layer.id))
+        .map((layer) => ({ ...layer, visible: true, opacity: 1 }));
+      const defaults = DEFAULT_LAYERS.map((layer) => ({ ...layer }));
+
+      defaults.splice(1, 0, ...userLayers);
+      this.layers = defaults;
+
+      saveLayerConfig(this.layers);
+      console.log('🔄 [DefineStore] 圖層設定已重置');
     },
 
     /**
@@ -216,7 +594,7 @@ export const useDefineStore = defineStore('define', {
      */
     resetMapView() {
       this.mapView.center = [25.04583, 121.51972]; // 台灣台北
-      this.mapView.zoom = 16;
+      this.mapView.zoom = 1;
 
       console.log('🔄 [DefineStore] 地圖視圖已重置為預設狀態');
     },
@@ -267,10 +645,7 @@ export const useDefineStore = defineStore('define', {
      *
      * @returns {Object} 包含當前地圖樣式的完整配置
      */
-    currentMapStyle: (state) => ({
-      countryColors: { ...state.mapStyle.countryColors },
-      borderStyle: { ...state.mapStyle.borderStyle },
-    }),
+    currentMapStyle: (state) => JSON.parse(JSON.stringify(state.mapStyle)),
 
     /**
      * 📋 獲取可用底圖列表 (Get Available Basemaps List)
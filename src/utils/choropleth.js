@@ -0,0 +1,335 @@
+/**
+ * 🗺️ 主題圖模組 (Choropleth Module)
+ *
+ * 依 Natural Earth 國家資料的屬性（人口、GDP、洲、所得分組……）為國家分級著色，
+ * 或依國家與目前中心的大圓距離落在哪兩圈之間著色，讓底圖不只是國界輪廓。
+ *
+ * 📋 分級方式：
+ * - 分位數（quantile）：每一級的國家數量大致相同
+ * - 等距（equalInterval）：最小值到最大值等分
+ * - 自然斷點（jenks）：Fisher-Jenks 最佳化，讓同一級內的變異最小
+ * - 類別（categorical）：每個值一種顏色，適用洲、所得分組等文字欄位
+ *
+ * Natural Earth 以 -99 表示缺值，缺值與無法換算的國家以 NO_DATA_COLOR 著色。
+ *
+ * 📁 相關文件：
+ * - ../tabs/MapTab.vue - 主題圖面板、國家著色與圖例
+ * - ./ringSets.js - EARTH_RADIUS_KM
+ */
+
+import * as d3 from 'd3';
+import { EARTH_RADIUS_KM } from './ringSets.js';
+
+/** 📋 分級方式 */
+export const CLASSIFICATION_METHODS = [
+  { id: 'quantile', label: '分位數' },
+  { id: 'equalInterval', label: '等距' },
+  { id: 'jenks', label: '自然斷點（Jenks）' },
+  { id: 'categorical', label: '類別' },
+];
+
+/** 🔢 數值分級的級數範圍 */
+export const CLASS_COUNT_RANGE = { min: 3, max: 9 };
+
+/** 🎨 缺值國家的顏色 */
+export const NO_DATA_COLOR = '#4b5563';
+
+/** 🏷️ 常用欄位的中文名稱（排在選單前面），其餘欄位依資料自動判斷型別 */
+const ATTRIBUTE_LABELS = {
+  POP_EST: '人口',
+  GDP_MD: 'GDP（百萬美元）',
+  POP_RANK: '人口等級',
+  CONTINENT: '洲',
+  REGION_UN: '聯合國區域',
+  SUBREGION: '次區域',
+  REGION_WB: '世界銀行區域',
+  INCOME_GRP: '所得分組',
+  ECONOMY: '經濟發展程度',
+};
+
+/** 🔤 類別欄位的不同值超過此數量時不列入選單（多半是名稱或代碼） */
+const MAX_CATEGORIES = 30;
+
+const MISSING_VALUE = -99;
+
+const valueFormatter = new Intl.NumberFormat('en-US', {
+  notation: 'compact',
+  maximumFractionDigits: 1,
+});
+
+const distanceFormatter = new Intl.NumberFormat('en-US', { maximumFractionDigits: 0 });
+
+/**
+ * 讀取屬性值，缺值回傳 null
+ *
+ * @param {Object} feature - GeoJSON 國家圖徵
+ * @param {string} attribute - 屬性名稱
+ * @returns {*} 屬性值
+ */
+function readValue(feature, attribute) {
+  const value = feature.properties?.[attribute];
+  if (value === null || value === undefined || value === '' || value === MISSING_VALUE) {
+    return null;
+  }
+  return value;
+}
+
+/**
+ * 列出可用於主題圖的屬性
+ *
+ * @param {Array<Object>} features - GeoJSON 國家圖徵
+ * @returns {Array<Object>} [{ key, label, type }]，type 為 'numeric' 或 'categorical'
+ */
+export function getChoroplethAttributes(features) {
+  const keys = new Set(features.flatMap((feature) => Object.keys(feature.properties || {})));
+  const attributes = [];
+
+  keys.forEach((key) => {
+    const values = features.map((feature) => readValue(feature, key)).filter((v) => v !== null);
+    const distinct = new Set(values);
+    if (distinct.size < 2) return;
+
+    if (values.every((value) => typeof value === 'number' && Number.isFinite(value))) {
+      attributes.push({ key, label: ATTRIBUTE_LABELS[key] || key, type: 'numeric' });
+    } else if (distinct.size <= MAX_CATEGORIES) {
+      attributes.push({ key, label: ATTRIBUTE_LABELS[key] || key, type: 'categorical' });
+    }
+  });
+
+  // 常用欄位依 ATTRIBUTE_LABELS 的順序排在前面，其餘依名稱排序
+  const order = Object.keys(ATTRIBUTE_LABELS);
+  const rank = (key) => (order.includes(key) ? order.indexOf(key) : order.length);
+  return attributes.sort((a, b) => rank(a.key) - rank(b.key) || a.key.localeCompare(b.key));
+}
+
+/**
+ * Fisher-Jenks 自然斷點
+ *
+ * @param {Array<number>} sorted - 由小到大排序的數值
+ * @param {number} classCount - 級數
+ * @returns {Array<number>} 每一級的上限
+ */
+export function jenksBreaks(sorted, classCount) {
+  const n = sorted.length;
+  const k = Math.min(classCount, n);
+  const lowerLimits = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(0));
+  const variances = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(Infinity));
+
+  for (let j = 1; j <= k; j++) {
+    lowerLimits[1][j] = 1;
+    variances[1][j] = 0;
+  }
+
+  for (let l = 2; l <= n; l++) {
+    let sum = 0;
+    let sumSquares = 0;
+    let variance = 0;
+
+    for (let m = 1; m <= l; m++) {
+      const lower = l - m + 1;
+      const value = sorted[lower - 1];
+      sum += value;
+      sumSquares += value * value;
+      variance = sumSquares - (sum * sum) / m;
+
+      if (lower > 1) {
+        for (let j = 2; j <= k; j++) {
+          if (variances[l][j] >= variance + variances[lower - 1][j - 1]) {
+            lowerLimits[l][j] = lower;
+            variances[l][j] = variance + variances[lower - 1][j - 1];
+          }
+        }
+      }
+    }
+
+    lowerLimits[l][1] = 1;
+    variances[l][1] = variance;
+  }
+
+  const breaks = new Array(k);
+  let upper = n;
+  for (let j = k; j >= 1; j--) {
+    breaks[j - 1] = sorted[upper - 1];
+    upper = lowerLimits[upper][j] - 1;
+  }
+  return breaks;
+}
+
+/**
+ * 計算數值分級的門檻（d3.scaleThreshold 的 domain）
+ * 重複的門檻會被合併，因此實際級數可能少於 classCount
+ *
+ * @param {Array<number>} values - 數值
+ * @param {string} method - 'quantile'、'equalInterval' 或 'jenks'
+ * @param {number} classCount - 級數
+ * @returns {Array<number>} 門檻（長度為級數 − 1）
+ * @throws {Error} 當分級方式不支援時拋出錯誤
+ */
+export function classifyValues(values, method, classCount) {
+  const sorted = [...values].sort((a, b) => a - b);
+  if (sorted.length < 2) return [];
+
+  let thresholds;
+  if (method === 'quantile') {
+    thresholds = d3.range(1, classCount).map((i) => d3.quantileSorted(sorted, i / classCount));
+  } else if (method === 'equalInterval') {
+    const [min, max] = [sorted[0], sorted[sorted.length - 1]];
+    thresholds = d3.range(1, classCount).map((i) => min + ((max - min) * i) / classCount);
+  } else if (method === 'jenks') {
+    // 每一級的上限即為下一級的門檻：值大於上限才進入下一級
+    const breaks = jenksBreaks(sorted, classCount).slice(0, -1);
+    thresholds = breaks.map((limit) => sorted.find((value) => value > limit));
+  } else {
+    throw new Error(`不支援的分級方式 "${method}"`);
+  }
+
+  return [...new Set(thresholds.filter((value) => value !== undefined))];
+}
+
+/**
+ * 依序取得數量為 count 的連續色階
+ *
+ * @param {number} count - 顏色數量
+ * @returns {Array<string>} 顏色
+ */
+function sequentialColors(count) {
+  return count === 1 ? [d3.interpolateYlOrRd(0.6)] : d3.quantize(d3.interpolateYlOrRd, count);
+}
+
+/**
+ * 依屬性建立主題圖
+ *
+ * @param {Array<Object>} features - GeoJSON 國家圖徵
+ * @param {Object} options
+ * @param {Object} options.attribute - getChoroplethAttributes 的項目 { key, label, type }
+ * @param {string} options.method - 分級方式
+ * @param {number} [options.classCount=5] - 數值分級的級數
+ * @param {Function} options.getKey - 國家識別碼
+ * @returns {Object} { colors: Map<key, color>, values: Map<key, text>, legend: { title, items } }
+ * @throws {Error} 當文字欄位使用數值分級時拋出錯誤
+ *
+ * @example
+ * const { colors, legend } = createAttributeChoropleth(features, {
+ *   attribute: { key: 'POP_EST', label: '人口', type: 'numeric' },
+ *   method: 'jenks',
+ *   getKey: getCountryKey,
+ * });
+ */
+export function createAttributeChoropleth(features, options) {
+  const { attribute, method, classCount = 5, getKey } = options;
+  const colors = new Map();
+  const values = new Map();
+  const entries = features.map((feature) => [getKey(feature), readValue(feature, attribute.key)]);
+  const present = entries.filter(([, value]) => value !== null);
+  const noDataCount = entries.length - present.length;
+  let items;
+
+  if (method === 'categorical') {
+    const categories = [...new Set(present.map(([, value]) => value))].sort((a, b) =>
+      String(a).localeCompare(String(b), 'en', { numeric: true })
+    );
+    const palette =
+      categories.length <= 20
+        ? [...d3.schemeTableau10, ...d3.schemeSet3].slice(0, categories.length)
+        : d3.quantize(d3.interpolateRainbow, categories.length + 1);
+    const colorOf = new Map(categories.map((category, index) => [category, palette[index]]));
+
+    present.forEach(([key, value]) => {
+      colors.set(key, colorOf.get(value));
+      values.set(key, String(value));
+    });
+    items = categories.map((category) => ({
+      label: String(category),
+      color: colorOf.get(category),
+      count: present.filter(([, value]) => value === category).length,
+    }));
+  } else {
+    if (attribute.type !== 'numeric') {
+      throw new Error(`「${attribute.label}」是文字欄位，只能使用類別分級`);
+    }
+
+    const numbers = present.map(([, value]) => value);
+    const thresholds = classifyValues(numbers, method, classCount);
+    const palette = sequentialColors(thresholds.length + 1);
+    const scale = d3.scaleThreshold().domain(thresholds).range(palette);
+    const [min, max] = d3.extent(numbers);
+
+    present.forEach(([key, value]) => {
+      colors.set(key, scale(value));
+      values.set(key, valueFormatter.format(value));
+    });
+    items = palette.map((color, index) => {
+      const lower = index === 0 ? min : thresholds[index - 1];
+      const upper = index === thresholds.length ? max : thresholds[index];
+      return {
+        label: `${valueFormatter.format(lower)} – ${valueFormatter.format(upper)}`,
+        color,
+        count: numbers.filter((value) => scale(value) === color).length,
+      };
+    });
+  }
+
+  if (noDataCount) {
+    items.push({ label: '無資料', color: NO_DATA_COLOR, count: noDataCount });
+  }
+
+  entries.forEach(([key, value]) => {
+    if (value === null) colors.set(key, NO_DATA_COLOR);
+  });
+
+  return { colors, values, legend: { title: attribute.label, items } };
+}
+
+/**
+ * 國家的代表點：Natural Earth 的標籤位置（LABEL_X、LABEL_Y），沒有時使用球面質心
+ * 多塊領土的國家（例如美國）質心可能落在境外，標籤位置較能代表本土
+ *
+ * @param {Object} feature - GeoJSON 國家圖徵
+ * @returns {Array<number>} [經度, 緯度]
+ */
+export function getCountryAnchor(feature) {
+  const { LABEL_X: x, LABEL_Y: y } = feature.properties || {};
+  return Number.isFinite(x) && Number.isFinite(y) ? [x, y] : d3.geoCentroid(feature);
+}
+
+/**
+ * 依國家與中心的大圓距離落在哪兩圈之間著色（距離帶）
+ *
+ * @param {Array<Object>} features - GeoJSON 國家圖徵
+ * @param {Object} options
+ * @param {Array<number>} options.center - 中心 [經度, 緯度]
+ * @param {Array<Object>} options.rings - 圓圈 [{ name, km }]，km 為地表半徑
+ * @param {Function} options.getKey - 國家識別碼
+ * @returns {Object} { colors, values, legend }（格式同 createAttributeChoropleth）
+ */
+export function createDistanceChoropleth(features, { center, rings, getKey }) {
+  const breaks = [...rings].filter((ring) => ring.km > 0).sort((a, b) => a.km - b.km);
+  // 由近到遠顏色由深到淺
+  const palette = d3.quantize((t) => d3.interpolateYlOrRd(1 - t * 0.85), breaks.length + 1);
+  const colors = new Map();
+  const values = new Map();
+  const counts = new Array(breaks.length + 1).fill(0);
+
+  features.forEach((feature) => {
+    const km = d3.geoDistance(center, getCountryAnchor(feature)) * EARTH_RADIUS_KM;
+    const band = d3.bisector((ring) => ring.km).left(breaks, km);
+    const key = getKey(feature);
+    colors.set(key, palette[band]);
+    values.set(key, `${distanceFormatter.format(km)} km`);
+    counts[band]++;
+  });
+
+  const items = palette.map((color, index) => {
+    const inner = breaks[index - 1];
+    const outer = breaks[index];
+    const label = outer
+      ? `${inner ? inner.name : '中心'} – ${outer.name}`
+      : `${inner ? inner.name : '中心'} 以外`;
+    const range = outer
+      ? `${distanceFormatter.format(inner?.km ?? 0)}–${distanceFormatter.format(outer.km)} km`
+      : `> ${distanceFormatter.format(inner?.km ?? 0)} km`;
+    return { label: `${label}（${range}）`, color, count: counts[index] };
+  });
+
+  return { colors, values, legend: { title: '與中心的距離帶', items } };
+}
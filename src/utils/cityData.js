@@ -0,0 +1,207 @@
+/**
+ * 🏙️ 城市資料模組 (City Data Module)
+ *
+ * 從 public/data/ 載入地圖上的城市標記，支援 GeoJSON 與 CSV，並在載入時驗證資料：
+ * 座標無效或欄位格式錯誤的城市會被略過，位置幾乎相同的重複城市只保留第一筆，
+ * 所有問題整理成驗證報告顯示在面板上。
+ *
+ * 📋 GeoJSON 格式（FeatureCollection，幾何為 Point [經度, 緯度]）：
+ * {
+ *   "type": "Feature",
+ *   "properties": {
+ *     "name": "Taipei",          // 英文名稱（唯一，必要）
+ *     "label": "台北",            // 中文名稱（省略時使用 name）
+ *     "iso_a3": "TWN",           // 國家 ISO 3166-1 alpha-3 代碼
+ *     "population": 2500000,     // 人口（未知時為 null）
+ *     "category": "capital"      // capital、city 或 island
+ *   },
+ *   "geometry": { "type": "Point", "coordinates": [121.5654, 25.033] }
+ * }
+ *
+ * 📋 CSV 格式：name、label、lon、lat、iso_a3、population、category
+ *
+ * 📁 相關文件：
+ * - ../tabs/MapTab.vue - 繪製城市標記並顯示驗證報告
+ * - ../../public/data/cities.geojson - 內建城市資料
+ */
+
+import * as d3 from 'd3';
+import { calculateDistance, isValidCoordinate, removeDuplicates } from './utils.js';
+
+/** 📁 內建城市資料檔（相對於網站根目錄） */
+export const CITY_DATA_FILE = 'data/cities.geojson';
+
+/** 🏷️ 城市類別 */
+export const CITY_CATEGORIES = ['capital', 'city', 'island'];
+
+/** 📏 兩座城市距離小於此值（公里）時視為重複 */
+export const DUPLICATE_DISTANCE_KM = 3;
+
+/**
+ * 將欄位值轉為數字，空值回傳 null
+ *
+ * @param {*} value - 欄位值
+ * @returns {number|null} 數字（無法轉換時為 NaN）
+ */
+function toOptionalNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  return Number(value);
+}
+
+/**
+ * 驗證並正規化單一城市
+ *
+ * @param {Object} raw - { name, label, coordinates, iso_a3, population, category }
+ * @returns {Object} 正規化後的城市
+ * @throws {Error} 當欄位格式錯誤時拋出錯誤
+ */
+function normalizeCity(raw) {
+  const name = typeof raw.name === 'string' ? raw.name.trim() : '';
+  if (!name) {
+    throw new Error('缺少名稱');
+  }
+
+  const [lon, lat] = Array.isArray(raw.coordinates)
+    ? raw.coordinates.map((value) => toOptionalNumber(value) ?? NaN)
+    : [];
+  if (!isValidCoordinate(lat, lon)) {
+    throw new Error(`座標無效（${raw.coordinates}）`);
+  }
+
+  const isoA3 = raw.iso_a3 ? String(raw.iso_a3).trim().toUpperCase() : null;
+  if (isoA3 && !/^[A-Z]{3}$/.test(isoA3)) {
+    throw new Error(`國家代碼 "${raw.iso_a3}" 不是 ISO 3166-1 alpha-3 格式`);
+  }
+
+  const population = toOptionalNumber(raw.population);
+  if (population !== null && !(population >= 0)) {
+    throw new Error(`人口 "${raw.population}" 必須是非負數`);
+  }
+
+  const category = raw.category ? String(raw.category).trim() : 'city';
+  if (!CITY_CATEGORIES.includes(category)) {
+    throw new Error(`未知的類別 "${raw.category}"`);
+  }
+
+  return {
+    name,
+    label: raw.label ? String(raw.label).trim() : name,
+    coordinates: [lon, lat],
+    isoA3,
+    population,
+    category,
+  };
+}
+
+/**
+ * 驗證城市清單並產生報告
+ *
+ * @param {Array<Object>} rows - 原始城市資料
+ * @param {string} source - 資料來源名稱（顯示用）
+ * @returns {Object} { cities, report }；report 含 source、total、loaded、errors、duplicates
+ *
+ * @example
+ * const { cities, report } = validateCities(rows, 'cities.geojson');
+ * console.log(`${report.loaded}/${report.total}`, report.duplicates);
+ */
+export function validateCities(rows, source) {
+  const errors = [];
+  const valid = [];
+
+  rows.forEach((row, index) => {
+    try {
+      valid.push(normalizeCity(row));
+    } catch (error) {
+      errors.push({ index: index + 1, name: row.name || '', message: error.message });
+    }
+  });
+
+  const distanceBetween = (a, b) =>
+    calculateDistance(a.coordinates[1], a.coordinates[0], b.coordinates[1], b.coordinates[0]);
+
+  // 同名城市只保留第一筆
+  const uniqueByName = removeDuplicates(valid, 'name');
+  const duplicates = valid
+    .filter((city) => !uniqueByName.includes(city))
+    .map((city) => {
+      const original = uniqueByName.find((kept) => kept.name === city.name);
+      return {
+        name: city.name,
+        label: city.label,
+        duplicateOf: original.name,
+        distanceKm: distanceBetween(city, original),
+      };
+    });
+
+  // 位置幾乎相同的城市（例如 Pattaya / Pattaya City）只保留第一筆
+  const cities = [];
+  uniqueByName.forEach((city) => {
+    const original = cities.find((kept) => distanceBetween(city, kept) < DUPLICATE_DISTANCE_KM);
+
+    if (original) {
+      duplicates.push({
+        name: city.name,
+        label: city.label,
+        duplicateOf: original.name,
+        distanceKm: distanceBetween(city, original),
+      });
+    } else {
+      cities.push(city);
+    }
+  });
+
+  return {
+    cities,
+    report: { source, total: rows.length, loaded: cities.length, errors, duplicates },
+  };
+}
+
+/**
+ * 解析城市資料檔（GeoJSON 或 CSV）
+ *
+ * @param {string} content - 檔案內容
+ * @param {string} fileName - 檔名（用於判斷格式）
+ * @returns {Array<Object>} 原始城市資料 { name, label, coordinates, iso_a3, population, category }
+ * @throws {Error} 當格式不支援或內容無法解析時拋出錯誤
+ */
+export function parseCityFile(content, fileName) {
+  const extension = fileName.split('.').pop().toLowerCase();
+
+  if (extension === 'geojson' || extension === 'json') {
+    const data = JSON.parse(content);
+    if (data.type !== 'FeatureCollection' || !Array.isArray(data.features)) {
+      throw new Error('城市資料必須是 GeoJSON FeatureCollection');
+    }
+    return data.features.map((feature) => ({
+      ...feature.properties,
+      coordinates: feature.geometry?.type === 'Point' ? feature.geometry.coordinates : null,
+    }));
+  }
+
+  if (extension === 'csv') {
+    return d3.csvParse(content).map((row) => ({
+      ...row,
+      coordinates: [toOptionalNumber(row.lon), toOptionalNumber(row.lat)],
+    }));
+  }
+
+  throw new Error(`不支援的城市資料格式 ".${extension}"`);
+}
+
+/**
+ * 載入並驗證城市資料
+ *
+ * @param {string} baseUrl - 網站根目錄（process.env.BASE_URL）
+ * @param {string} [fileName=CITY_DATA_FILE] - 資料檔路徑
+ * @returns {Promise<Object>} { cities, report }
+ * @throws {Error} 當檔案無法載入或解析時拋出錯誤
+ */
+export async function loadCityData(baseUrl, fileName = CITY_DATA_FILE) {
+  const response = await fetch(`${baseUrl}${fileName}`);
+  if (!response.ok) {
+    throw new Error(`無法載入城市資料 ${fileName}（HTTP ${response.status}）`);
+  }
+
+  const rows = parseCityFile(await response.text(), fileName);
+  return validateCities(rows, fileName.split('/').pop());
+}
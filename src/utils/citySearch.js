@@ -0,0 +1,148 @@
+/**
+ * 🔍 城市搜尋模組 (City Search Module)
+ *
+ * 以英文名稱（name）與中文名稱（label）模糊搜尋城市，比對時忽略大小寫、空白、標點與重音符號，
+ * 例如「sao paulo」可以找到「São Paulo」、「dunhng」可以找到「Dunhuang」。
+ *
+ * 📋 評分方式（取兩個名稱中較高者）：
+ * 1. 完全相同 > 開頭相同 > 任一單字開頭相同 > 包含
+ * 2. 依序出現的字元（允許中間跳過字元），跳過越多分數越低
+ * 3. 拼錯一兩個字母（編輯距離）
+ *
+ * 📁 相關文件：
+ * - ../tabs/MapTab.vue - 搜尋框、鍵盤操作與選取後的標記效果
+ */
+
+/**
+ * 移除重音符號並轉小寫
+ *
+ * @param {string} text - 原始字串
+ * @returns {string} 處理後的字串
+ */
+function foldAccents(text) {
+  return String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+/**
+ * 正規化搜尋字串：轉小寫、移除重音符號、空白與標點
+ *
+ * @param {string} text - 原始字串
+ * @returns {string} 正規化後的字串
+ *
+ * @example
+ * normalizeSearchText("Xi'an"); // 'xian'
+ * normalizeSearchText('São Paulo'); // 'saopaulo'
+ */
+export function normalizeSearchText(text) {
+  return foldAccents(text).replace(/[\s\p{P}]/gu, '');
+}
+
+/**
+ * 計算兩個字串的編輯距離（相鄰字母對調算一次），超過上限時提早結束
+ *
+ * @param {string} a - 字串
+ * @param {string} b - 字串
+ * @param {number} max - 上限
+ * @returns {number} 編輯距離（超過上限時回傳 max + 1）
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (beforePrevious && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * 計算查詢字串與單一名稱的相符分數
+ *
+ * @param {string} query - 正規化後的查詢字串
+ * @param {string} text - 原始名稱
+ * @returns {number} 分數（0 表示不相符）
+ */
+function scoreText(query, text) {
+  const target = normalizeSearchText(text);
+  if (!target) return 0;
+
+  if (target === query) return 100;
+  if (target.startsWith(query)) return 90 - Math.min(target.length - query.length, 10);
+
+  const words = foldAccents(text).split(/[\s\p{P}]+/u);
+  if (words.some((word) => word.startsWith(query))) return 75;
+
+  const index = target.indexOf(query);
+  if (index >= 0) return 65 - Math.min(index, 10);
+
+  // 依序出現的字元
+  let position = -1;
+  let gaps = 0;
+  for (const char of query) {
+    const next = target.indexOf(char, position + 1);
+    if (next < 0) {
+      gaps = -1;
+      break;
+    }
+    if (position >= 0) gaps += next - position - 1;
+    position = next;
+  }
+  if (gaps >= 0 && query.length >= 2) return Math.max(50 - gaps * 3, 21);
+
+  // 拼錯字母：與名稱開頭同長度的片段比較
+  if (query.length >= 4) {
+    const maxEdits = query.length >= 7 ? 2 : 1;
+    const distance = editDistance(query, target.slice(0, query.length), maxEdits);
+    if (distance <= maxEdits) return 20 - distance * 5;
+  }
+
+  return 0;
+}
+
+/**
+ * 模糊搜尋城市
+ *
+ * @param {Array<Object>} cities - 城市陣列，需含 name 與 label
+ * @param {string} query - 查詢字串
+ * @param {number} [limit=8] - 最多回傳筆數
+ * @returns {Array<Object>} 依分數排序的城市
+ *
+ * @example
+ * searchCities(cityLocations, '敦煌'); // [{ name: 'Dunhuang', label: '敦煌', ... }]
+ */
+export function searchCities(cities, query, limit = 8) {
+  const normalizedQuery = normalizeSearchText(query);
+  if (!normalizedQuery) return [];
+
+  return cities
+    .map((city) => ({
+      city,
+      score: Math.max(
+        scoreText(normalizedQuery, city.name),
+        scoreText(normalizedQuery, city.label)
+      ),
+    }))
+    .filter((result) => result.score > 0)
+    .sort((a, b) => b.score - a.score || a.city.name.localeCompare(b.city.name))
+    .slice(0, limit)
+    .map((result) => result.city);
+}
@@ -0,0 +1,217 @@
+/**
+ * 🏷️ 標籤避讓模組 (Label Layout Module)
+ *
+ * 依優先順序逐一放置標籤：每個標籤依序嘗試上、右、下、左四個位置，
+ * 與已放置的標籤重疊或超出畫面時換下一個位置，四個位置都不行就不顯示。
+ *
+ * 沿圓弧排列的標籤（距離圓圈名稱，SVG textPath）則沿路徑嘗試多個起點，
+ * 以沿線取樣的小方框檢查重疊。
+ *
+ * 📁 相關文件：
+ * - ../tabs/MapTab.vue - 城市名稱依縮放程度自動顯示、距離圓圈名稱沿圓弧顯示、航線的距離與時間
+ */
+
+/** 📐 標籤相對於錨點的候選位置（依序嘗試） */
+const PLACEMENTS = [
+  { anchor: 'middle', dx: 0, dy: -1 },
+  { anchor: 'start', dx: 1, dy: 0 },
+  { anchor: 'middle', dx: 0, dy: 1 },
+  { anchor: 'end', dx: -1, dy: 0 },
+];
+
+/**
+ * 估計文字寬度（中日韓文字約為一個字高，其餘約為半個字高）
+ *
+ * @param {string} text - 文字
+ * @param {number} fontSize - 字級（px）
+ * @returns {number} 寬度（px）
+ */
+export function estimateTextWidth(text, fontSize) {
+  let width = 0;
+  for (const char of String(text)) {
+    width += /[\u2e80-\u9fff\uf900-\ufaff\uff00-\uffef]/.test(char) ? fontSize : fontSize * 0.6;
+  }
+  return width;
+}
+
+const overlaps = (a, b) => a.x0 < b.x1 && b.x0 < a.x1 && a.y0 < b.y1 && b.y0 < a.y1;
+
+/** 📦 方框的格狀索引，障礙物多（例如數百個城市標記）時只比對附近的方框 */
+const GRID_CELL_SIZE = 48;
+
+function createBoxIndex(boxes = []) {
+  const cells = new Map();
+  const cellKeys = (box) => {
+    const keys = [];
+    for (
+      let i = Math.floor(box.x0 / GRID_CELL_SIZE);
+      i <= Math.floor(box.x1 / GRID_CELL_SIZE);
+      i++
+    ) {
+      for (
+        let j = Math.floor(box.y0 / GRID_CELL_SIZE);
+        j <= Math.floor(box.y1 / GRID_CELL_SIZE);
+        j++
+      ) {
+        keys.push(`${i},${j}`);
+      }
+    }
+    return keys;
+  };
+
+  const index = {
+    add(box) {
+      cellKeys(box).forEach((key) => {
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(box);
+      });
+    },
+    hits(box) {
+      return cellKeys(box).some((key) => cells.get(key)?.some((other) => overlaps(box, other)));
+    },
+  };
+  boxes.forEach(index.add);
+  return index;
+}
+
+/**
+ * 標籤佔用的方框
+ *
+ * @param {Object} placement - { x, y, anchor }（text 的座標與 text-anchor，y 為基線）
+ * @param {string} text - 文字
+ * @param {number} fontSize - 字級（px）
+ * @param {number} [padding=2] - 四周保留的間距（px）
+ * @returns {Object} { x0, y0, x1, y1 }
+ */
+export function getLabelBox({ x, y, anchor }, text, fontSize, padding = 2) {
+  const textWidth = estimateTextWidth(text, fontSize);
+  const x0 = anchor === 'middle' ? x - textWidth / 2 : anchor === 'end' ? x - textWidth : x;
+  return {
+    x0: x0 - padding,
+    x1: x0 + textWidth + padding,
+    y0: y - fontSize - padding,
+    y1: y + padding,
+  };
+}
+
+/**
+ * 計算不重疊的標籤位置
+ *
+ * @param {Array<Object>} labels - 依優先順序排列的標籤 { key, x, y, text }，x、y 為錨點
+ * @param {Object} options
+ * @param {number} options.width - 畫面寬度（px）
+ * @param {number} options.height - 畫面高度（px）
+ * @param {number} [options.fontSize=12] - 字級（px）
+ * @param {number} [options.offset=8] - 標籤與錨點的距離（px）
+ * @param {number} [options.padding=2] - 標籤之間的最小間距（px）
+ * @param {Array<Object>} [options.obstacles=[]] - 不可覆蓋的方框 { x0, y0, x1, y1 }（例如已放置的圓圈名稱）
+ * @returns {Map<string, Object>} key → { x, y, anchor }（text 的座標與 text-anchor）
+ *
+ * @example
+ * const placed = layoutLabels([{ key: 'Taipei', x: 300, y: 200, text: '台北' }], { width, height });
+ */
+export function layoutLabels(
+  labels,
+  { width, height, fontSize = 12, offset = 8, padding = 2, obstacles = [] }
+) {
+  const placed = new Map();
+  const boxes = [...obstacles];
+
+  labels.forEach(({ key, x, y, text }) => {
+    for (const { anchor, dx, dy } of PLACEMENTS) {
+      // text 的 y 為基線，字高約為 fontSize
+      const textX = x + dx * offset;
+      const baseline = y + (dy < 0 ? -offset : dy > 0 ? offset + fontSize : fontSize / 3);
+      const box = getLabelBox({ x: textX, y: baseline, anchor }, text, fontSize, padding);
+
+      if (box.x0 < 0 || box.y0 < 0 || box.x1 > width || box.y1 > height) continue;
+      if (boxes.some((other) => overlaps(box, other))) continue;
+
+      boxes.push(box);
+      placed.set(key, { x: textX, y: baseline, anchor });
+      break;
+    }
+  });
+
+  return placed;
+}
+
+/**
+ * 計算沿路徑排列的標籤位置（SVG textPath 的 startOffset）
+ * 每個標籤沿路徑等距嘗試多個起點，由畫面上方的起點開始；文字須由左向右閱讀（不上下顛倒）、
+ * 整段在畫面內且路徑連續（投影裁切造成的斷開處不放），並避開障礙物與已放置的標籤，都不行就不顯示
+ *
+ * @param {Array<Object>} arcs - 依優先順序排列的路徑
+ *   { key, text, length, pointAt }，pointAt(distance) 回傳路徑上該長度處的 [x, y]
+ * @param {Object} options
+ * @param {number} options.width - 畫面寬度（px）
+ * @param {number} options.height - 畫面高度（px）
+ * @param {number} [options.fontSize=12] - 字級（px）
+ * @param {number} [options.padding=2] - 標籤之間的最小間距（px）
+ * @param {Array<Object>} [options.obstacles=[]] - 不可覆蓋的方框 { x0, y0, x1, y1 }（例如城市標記）
+ * @param {number} [options.candidates=16] - 每條路徑嘗試的起點數
+ * @returns {Map<string, Object>} key → { offset, boxes }（startOffset 與標籤佔用的方框）
+ *
+ * @example
+ * const placed = layoutArcLabels(
+ *   [{ key: 1, text: '火星', length: node.getTotalLength(), pointAt: (l) => ... }],
+ *   { width, height }
+ * );
+ */
+export function layoutArcLabels(
+  arcs,
+  { width, height, fontSize = 12, padding = 2, obstacles = [], candidates = 16 }
+) {
+  const placed = new Map();
+  const index = createBoxIndex(obstacles);
+  const step = fontSize / 2;
+
+  arcs.forEach(({ key, text, length, pointAt }) => {
+    const textWidth = estimateTextWidth(text, fontSize);
+    // 太短的圓弧放不下文字（彎曲過大時字會擠在一起）
+    if (!(length > textWidth * 2.5)) return;
+
+    const options = Array.from({ length: candidates }, (_, i) => (length * i) / candidates)
+      .filter((offset) => offset + textWidth <= length)
+      .map((offset) => ({ offset, middle: pointAt(offset + textWidth / 2) }))
+      .sort((a, b) => a.middle[1] - b.middle[1]);
+
+    for (const { offset } of options) {
+      const samples = [];
+      for (let distance = 0; distance <= textWidth; distance += step) {
+        samples.push(pointAt(offset + distance));
+      }
+      samples.push(pointAt(offset + textWidth));
+
+      const [x0, y0] = samples[0];
+      const [x1, y1] = samples[samples.length - 1];
+      // 由左向右，且傾斜不超過 45°
+      if (x1 - x0 < Math.abs(y1 - y0)) continue;
+
+      const isContinuous = samples.every(
+        (point, i) =>
+          i === 0 ||
+          Math.hypot(point[0] - samples[i - 1][0], point[1] - samples[i - 1][1]) < step * 2
+      );
+      if (!isContinuous) continue;
+
+      // 文字在路徑上方：每個取樣點佔用一個字高的方框
+      const boxes = samples.map(([x, y]) => ({
+        x0: x - step - padding,
+        x1: x + step + padding,
+        y0: y - fontSize - padding,
+        y1: y + padding,
+      }));
+      if (boxes.some((box) => box.x0 < 0 || box.y0 < 0 || box.x1 > width || box.y1 > height)) {
+        continue;
+      }
+      if (boxes.some((box) => index.hits(box))) continue;
+
+      boxes.forEach(index.add);
+      placed.set(key, { offset, boxes });
+      break;
+    }
+  });
+
+  return placed;
+}
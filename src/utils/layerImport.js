@@ -0,0 +1,317 @@
+/**
+ * 🗂️ 圖層匯入模組 (Layer Import Module)
+ *
+ * 將使用者拖放到地圖上的檔案轉換成 GeoJSON FeatureCollection，作為新的圖層繪製。
+ *
+ * 📋 支援格式：
+ * - GeoJSON（.geojson / .json）：FeatureCollection、Feature 或單一幾何，點、線、面皆可
+ * - CSV（.csv）與 Excel（.xlsx / .xls）：自動偵測經緯度欄位（lat / latitude / 緯度、
+ *   lon / lng / longitude / 經度…），每一列成為一個點，其餘欄位成為屬性
+ * - KML（.kml）：Placemark 中的 Point、LineString、Polygon 與 MultiGeometry，
+ *   name、description 與 ExtendedData 成為屬性
+ *
+ * 🧭 座標參考系統：GeoJSON 依 crs 成員判斷，其餘格式預設為 WGS84 經緯度，
+ * 也可由使用者指定（例如 TWD97 的 X / Y 欄位），解析後統一以 proj4 轉換為 WGS84。
+ * KML 規格固定為 WGS84，不受指定影響。
+ *
+ * 📁 相關文件：
+ * - ../tabs/MapTab.vue - 拖放區、圖層繪製、樣式與提示欄位選擇
+ * - ./reprojection.js - 座標參考系統解析與轉換
+ * - ./ringSets.js - 同樣以 xlsx 解析表格
+ * - ./utils.js - baseName、toNumber
+ */
+
+import { readGeoJsonCrs, reprojectFeatureCollection, WGS84 } from './reprojection.js';
+import { baseName, toNumber } from './utils.js';
+
+/** 🗂️ 可匯入的副檔名 */
+export const LAYER_FILE_EXTENSIONS = ['geojson', 'json', 'csv', 'kml', 'xlsx', 'xls'];
+
+/** 🎨 新圖層依序使用的顏色 */
+export const LAYER_COLORS = ['#ff79c6', '#8be9fd', '#50fa7b', '#ffb86c', '#bd93f9', '#f1fa8c'];
+
+/**
+ * 🧭 座標欄位名稱（小寫比對），依優先順序排列：
+ * 明確的經緯度欄位優先於投影座標常用的 x / y 或 easting / northing
+ */
+const LATITUDE_COLUMNS = ['lat', 'latitude', '緯度', '纬度', 'y', 'northing', '縱座標'];
+const LONGITUDE_COLUMNS = [
+  'lon',
+  'lng',
+  'long',
+  'longitude',
+  '經度',
+  '经度',
+  'x',
+  'easting',
+  '橫座標',
+];
+
+/**
+ * 偵測表格中的經緯度欄位（同時有多個候選欄位時取優先順序最高者）
+ *
+ * @param {Array<string>} columns - 欄位名稱
+ * @returns {Object} { latitude, longitude } 欄位名稱
+ * @throws {Error} 當找不到經緯度欄位時拋出錯誤
+ */
+export function detectCoordinateColumns(columns) {
+  const find = (candidates) =>
+    candidates
+      .map((candidate) =>
+        columns.find((column) => String(column).trim().toLowerCase() === candidate)
+      )
+      .find(Boolean);
+
+  const latitude = find(LATITUDE_COLUMNS);
+  const longitude = find(LONGITUDE_COLUMNS);
+
+  if (!latitude || !longitude) {
+    throw new Error(
+      `找不到座標欄位（目前欄位：${columns.join('、')}），請使用 lat / lon、latitude / longitude 或 x / y`
+    );
+  }
+
+  return { latitude, longitude };
+}
+
+/**
+ * 將表格列轉為點圖層（座標範圍在轉換座標參考系統後才檢查）
+ *
+ * @param {Array<Object>} rows - 表格列
+ * @param {string} fileName - 檔名（錯誤訊息用）
+ * @returns {Object} GeoJSON FeatureCollection
+ * @throws {Error} 當沒有任何數值座標時拋出錯誤
+ */
+export function rowsToFeatureCollection(rows, fileName) {
+  if (!rows.length) {
+    throw new Error(`檔案 "${fileName}" 沒有資料列`);
+  }
+
+  const { latitude, longitude } = detectCoordinateColumns(Object.keys(rows[0]));
+
+  const features = rows
+    .map((row) => {
+      const lat = toNumber(row[latitude]);
+      const lon = toNumber(row[longitude]);
+      if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+
+      const properties = { ...row };
+      delete properties[latitude];
+      delete properties[longitude];
+
+      return { type: 'Feature', properties, geometry: { type: 'Point', coordinates: [lon, lat] } };
+    })
+    .filter(Boolean);
+
+  if (!features.length) {
+    throw new Error(`檔案 "${fileName}" 的「${latitude}」、「${longitude}」欄位沒有數值座標`);
+  }
+
+  return { type: 'FeatureCollection', features };
+}
+
+/**
+ * 將 GeoJSON 物件統一轉為 FeatureCollection
+ *
+ * @param {Object} data - GeoJSON 物件
+ * @param {string} fileName - 檔名（錯誤訊息用）
+ * @returns {Object} GeoJSON FeatureCollection
+ * @throws {Error} 當不是 GeoJSON 時拋出錯誤
+ */
+function toFeatureCollection(data, fileName) {
+  if (data?.type === 'FeatureCollection' && Array.isArray(data.features)) {
+    return { ...data, features: data.features.filter((feature) => feature?.geometry) };
+  }
+  if (data?.type === 'Feature') {
+    return { type: 'FeatureCollection', features: [data] };
+  }
+  if (data?.type && Array.isArray(data.coordinates || data.geometries)) {
+    return {
+      type: 'FeatureCollection',
+      features: [{ type: 'Feature', properties: {}, geometry: data }],
+    };
+  }
+  throw new Error(`檔案 "${fileName}" 不是有效的 GeoJSON`);
+}
+
+/**
+ * 解析 KML 座標字串（lon,lat[,alt] 以空白分隔）
+ *
+ * @param {Element} element - 含 coordinates 子元素的 KML 元素
+ * @returns {Array<Array<number>>} 座標陣列
+ */
+function parseKmlCoordinates(element) {
+  const text = element?.getElementsByTagName('coordinates')[0]?.textContent || '';
+  return text
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((tuple) => tuple.split(',').slice(0, 2).map(Number));
+}
+
+/**
+ * 將 KML 幾何元素轉為 GeoJSON 幾何
+ *
+ * @param {Element} element - Point / LineString / Polygon / MultiGeometry
+ * @returns {Object|null} GeoJSON 幾何
+ */
+function kmlGeometry(element) {
+  switch (element.localName) {
+    case 'Point':
+      return { type: 'Point', coordinates: parseKmlCoordinates(element)[0] };
+    case 'LineString':
+      return { type: 'LineString', coordinates: parseKmlCoordinates(element) };
+    case 'Polygon': {
+      const outer = element.getElementsByTagName('outerBoundaryIs')[0];
+      const inner = [...element.getElementsByTagName('innerBoundaryIs')];
+      return {
+        type: 'Polygon',
+        coordinates: [outer, ...inner].map((boundary) => parseKmlCoordinates(boundary)),
+      };
+    }
+    case 'MultiGeometry': {
+      const geometries = [...element.children].map(kmlGeometry).filter(Boolean);
+      return { type: 'GeometryCollection', geometries };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * 解析 KML 文件
+ *
+ * @param {string} text - KML 內容
+ * @param {string} fileName - 檔名（錯誤訊息用）
+ * @returns {Object} GeoJSON FeatureCollection
+ * @throws {Error} 當 KML 無法解析時拋出錯誤
+ */
+export function parseKml(text, fileName) {
+  const documentNode = new DOMParser().parseFromString(text, 'application/xml');
+  if (documentNode.getElementsByTagName('parsererror').length) {
+    throw new Error(`檔案 "${fileName}" 不是有效的 KML`);
+  }
+
+  const geometryTags = ['Point', 'LineString', 'Polygon', 'MultiGeometry'];
+  const features = [...documentNode.getElementsByTagName('Placemark')]
+    .map((placemark) => {
+      const geometryElement = [...placemark.children].find((child) =>
+        geometryTags.includes(child.localName)
+      );
+      const geometry = geometryElement ? kmlGeometry(geometryElement) : null;
+      if (!geometry) return null;
+
+      const properties = {};
+      const name = placemark.getElementsByTagName('name')[0];
+      const description = placemark.getElementsByTagName('description')[0];
+      if (name) properties.name = name.textContent.trim();
+      if (description) properties.description = description.textContent.trim();
+
+      [...placemark.getElementsByTagName('Data')].forEach((data) => {
+        properties[data.getAttribute('name')] =
+          data.getElementsByTagName('value')[0]?.textContent.trim() ?? '';
+      });
+      [...placemark.getElementsByTagName('SimpleData')].forEach((data) => {
+        properties[data.getAttribute('name')] = data.textContent.trim();
+      });
+
+      return { type: 'Feature', properties, geometry };
+    })
+    .filter(Boolean);
+
+  if (!features.length) {
+    throw new Error(`檔案 "${fileName}" 沒有可顯示的 Placemark`);
+  }
+
+  return { type: 'FeatureCollection', features };
+}
+
+/**
+ * 以 xlsx 讀取 CSV / Excel 的第一個工作表
+ *
+ * @param {string|ArrayBuffer} content - CSV 文字或 Excel 二進位內容
+ * @param {string} fileName - 檔名
+ * @returns {Promise<Object>} GeoJSON FeatureCollection
+ */
+async function parseTable(content, fileName) {
+  const XLSX = await import('xlsx');
+  const workbook = XLSX.read(content, { type: typeof content === 'string' ? 'string' : 'array' });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+
+  if (!sheet) {
+    throw new Error(`檔案 "${fileName}" 沒有工作表`);
+  }
+
+  return rowsToFeatureCollection(XLSX.utils.sheet_to_json(sheet, { defval: '' }), fileName);
+}
+
+/**
+ * 列出圖層所有圖徵的屬性欄位
+ *
+ * @param {Object} featureCollection - GeoJSON FeatureCollection
+ * @returns {Array<string>} 欄位名稱
+ */
+export function collectFields(featureCollection) {
+  const fields = new Set();
+  featureCollection.features.forEach((feature) => {
+    Object.keys(feature.properties || {}).forEach((key) => fields.add(key));
+  });
+  return [...fields];
+}
+
+/**
+ * 解析拖放的圖層檔案
+ *
+ * @param {ArrayBuffer} buffer - 檔案內容
+ * @param {string} fileName - 檔名
+ * @param {Object} [options]
+ * @param {string|null} [options.crs] - 指定的座標參考系統；省略時依 GeoJSON crs 成員或預設 WGS84
+ * @returns {Promise<Object>} { name, data（WGS84 FeatureCollection）, fields, crs, skipped }
+ * @throws {Error} 當副檔名不支援、內容無效或座標參考系統無法轉換時拋出錯誤
+ *
+ * @example
+ * const layer = await parseLayerFile(await file.arrayBuffer(), file.name, { crs: 'EPSG:3826' });
+ * console.log(layer.name, layer.data.features.length, layer.crs);
+ */
+export async function parseLayerFile(buffer, fileName, { crs = null } = {}) {
+  const extension = String(fileName).split('.').pop().toLowerCase();
+  let data;
+  let sourceCrs = crs;
+
+  if (extension === 'geojson' || extension === 'json') {
+    const text = new TextDecoder('utf-8').decode(buffer);
+    let raw;
+    try {
+      raw = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`檔案 "${fileName}" 不是有效的 JSON: ${error.message}`);
+    }
+    data = toFeatureCollection(raw, fileName);
+    sourceCrs = crs || readGeoJsonCrs(raw);
+  } else if (extension === 'csv') {
+    data = await parseTable(new TextDecoder('utf-8').decode(buffer), fileName);
+  } else if (extension === 'xlsx' || extension === 'xls') {
+    data = await parseTable(buffer, fileName);
+  } else if (extension === 'kml') {
+    data = parseKml(new TextDecoder('utf-8').decode(buffer), fileName);
+    sourceCrs = WGS84;
+  } else {
+    throw new Error(
+      `不支援的檔案格式: .${extension}（請使用 ${LAYER_FILE_EXTENSIONS.map((ext) => ext.toUpperCase()).join('、')}）`
+    );
+  }
+
+  if (!data.features.length) {
+    throw new Error(`檔案 "${fileName}" 沒有任何圖徵`);
+  }
+
+  const reprojected = reprojectFeatureCollection(data, sourceCrs || WGS84);
+
+  return {
+    name: baseName(fileName),
+    data: reprojected.data,
+    fields: collectFields(reprojected.data),
+    crs: reprojected.crs,
+    skipped: reprojected.skipped,
+  };
+}
@@ -0,0 +1,530 @@
+/**
+ * 🖨️ 地圖匯出模組 (Map Export Module)
+ *
+ * 將 D3 繪製的地圖 SVG 連同標題、圓圈圖例與 Natural Earth 資料來源組合成一張版面，
+ * 並匯出為 SVG、指定 DPI 的 PNG，或 A3 / A4 紙張大小的 PDF。
+ *
+ * 📋 主要功能：
+ * 1. 🎨 複製地圖 SVG 並把計算後的樣式寫回元素，匯出後不依賴頁面 CSS
+ * 2. 🧾 加上標題、副標題、圖例與資料來源
+ * 3. 🖼️ 透過 canvas 點陣化，PNG 寫入 pHYs 區塊記錄 DPI
+ * 4. 📄 以 JPEG 影像組成單頁 PDF（不需額外套件）
+ *
+ * 📏 版面以 CSS 像素（96 DPI）為單位，點陣化時依 DPI ÷ 96 放大。
+ *
+ * 📁 相關文件：
+ * - ../tabs/MapTab.vue - 匯出選單與目前地圖狀態
+ */
+
+/** 🧾 Natural Earth 資料來源標示 */
+export const NATURAL_EARTH_ATTRIBUTION =
+  'Made with Natural Earth. Free vector and raster map data @ naturalearthdata.com.';
+
+/** 📄 紙張大小（公釐，直向寬 × 高） */
+export const PAGE_SIZES = {
+  A4: [210, 297],
+  A3: [297, 420],
+};
+
+/** 🖼️ 可選的 PNG 解析度 */
+export const EXPORT_DPI_OPTIONS = [96, 150, 300];
+
+/** 📄 PDF 內影像的解析度 */
+const PDF_DPI = 150;
+
+const CSS_DPI = 96;
+const MM_PER_INCH = 25.4;
+const POINTS_PER_INCH = 72;
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/** 🎨 需要從計算樣式寫回的 SVG 屬性 */
+const INLINE_STYLE_PROPERTIES = [
+  'fill',
+  'fill-opacity',
+  'fill-rule',
+  'stroke',
+  'stroke-width',
+  'stroke-opacity',
+  'stroke-dasharray',
+  'opacity',
+  'visibility',
+  'display',
+  'font-family',
+  'font-size',
+  'font-weight',
+  'paint-order',
+  'text-anchor',
+];
+
+/**
+ * 將公釐換算為 CSS 像素
+ *
+ * @param {number} mm - 公釐
+ * @returns {number} CSS 像素
+ */
+export function mmToPx(mm) {
+  return (mm / MM_PER_INCH) * CSS_DPI;
+}
+
+/**
+ * 取得紙張的 CSS 像素大小
+ *
+ * @param {string} pageSize - 'A4' 或 'A3'
+ * @param {string} orientation - 'portrait' 或 'landscape'
+ * @returns {Object} { widthMm, heightMm, width, height }
+ * @throws {Error} 當紙張大小不存在時拋出錯誤
+ */
+export function getPageLayout(pageSize, orientation) {
+  const size = PAGE_SIZES[pageSize];
+  if (!size) {
+    throw new Error(`不支援的紙張大小 "${pageSize}"`);
+  }
+
+  const [widthMm, heightMm] = orientation === 'landscape' ? [size[1], size[0]] : size;
+  return { widthMm, heightMm, width: mmToPx(widthMm), height: mmToPx(heightMm) };
+}
+
+/**
+ * 複製 SVG 並把計算後的樣式寫成行內 style
+ *
+ * @param {SVGSVGElement} svgNode - 頁面上的地圖 SVG
+ * @returns {SVGSVGElement} 複製後的 SVG
+ */
+function cloneWithInlineStyles(svgNode) {
+  const clone = svgNode.cloneNode(true);
+  const sourceElements = [svgNode, ...svgNode.querySelectorAll('*')];
+  const cloneElements = [clone, ...clone.querySelectorAll('*')];
+
+  sourceElements.forEach((source, index) => {
+    const computed = window.getComputedStyle(source);
+    const style = INLINE_STYLE_PROPERTIES.map(
+      (property) => `${property}:${computed.getPropertyValue(property)}`
+    ).join(';');
+    cloneElements[index].setAttribute('style', style);
+    cloneElements[index].removeAttribute('class');
+  });
+
+  // 🖼️ 以 canvas 繪製的圖層：複製的 canvas 沒有像素，改為嵌入目前畫面的 <image>
+  const sourceCanvases = svgNode.querySelectorAll('foreignObject canvas');
+  clone.querySelectorAll('foreignObject canvas').forEach((canvas, index) => {
+    const foreignObject = canvas.closest('foreignObject');
+    foreignObject.replaceWith(
+      createSvgElement('image', {
+        href: sourceCanvases[index].toDataURL('image/png'),
+        x: foreignObject.getAttribute('x') || 0,
+        y: foreignObject.getAttribute('y') || 0,
+        width: foreignObject.getAttribute('width'),
+        height: foreignObject.getAttribute('height'),
+        preserveAspectRatio: 'none',
+      })
+    );
+  });
+
+  return clone;
+}
+
+/**
+ * 建立 SVG 元素
+ *
+ * @param {string} name - 標籤名稱
+ * @param {Object} attributes - 屬性
+ * @param {string} [text] - 文字內容
+ * @returns {SVGElement} 元素
+ */
+function createSvgElement(name, attributes, text) {
+  const element = document.createElementNS(SVG_NS, name);
+  Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+  if (text !== undefined) element.textContent = text;
+  return element;
+}
+
+/**
+ * 組合匯出版面：標題、地圖、圖例與資料來源
+ *
+ * @param {SVGSVGElement} svgNode - 頁面上的地圖 SVG
+ * @param {Object} options
+ * @param {number} options.width - 版面寬度（CSS 像素）
+ * @param {number} options.height - 版面高度（CSS 像素）
+ * @param {string} options.title - 標題
+ * @param {string} [options.subtitle] - 副標題（如比例尺、日期）
+ * @param {Object} [options.legend] - { title, items: [{ name, color, formatted }] }
+ * @param {string} [options.attribution] - 資料來源文字
+ * @param {string} [options.background] - 背景色（預設讀取地圖 SVG 的背景）
+ * @param {string} [options.basemap] - 點陣底圖的 data URL，放在地圖的最下層
+ * @param {string} [options.textColor='#111827'] - 標題、副標題與資料來源的文字顏色（主題的 labels.color）
+ * @param {string} [options.textHalo] - 文字外框顏色（主題的 labels.halo），省略時不加外框
+ * @returns {string} SVG 字串
+ */
+export function composeExportSvg(svgNode, options) {
+  const {
+    width,
+    height,
+    title,
+    subtitle = '',
+    legend = null,
+    attribution = NATURAL_EARTH_ATTRIBUTION,
+    basemap = null,
+    textColor = '#111827',
+    textHalo = null,
+  } = options;
+
+  const sourceWidth = Number(svgNode.getAttribute('width')) || svgNode.clientWidth;
+  const sourceHeight = Number(svgNode.getAttribute('height')) || svgNode.clientHeight;
+  const background =
+    options.background || window.getComputedStyle(svgNode).backgroundColor || '#ffffff';
+  const fontFamily = window.getComputedStyle(document.body).fontFamily;
+
+  const margin = Math.round(Math.min(width, height) * 0.03);
+  const headerHeight = subtitle ? 64 : 44;
+  const footerHeight = 24;
+
+  // 版面文字配合主題的文字顏色，深色背景上也能辨識
+  const textStyle = (opacity) => ({
+    fill: textColor,
+    'fill-opacity': opacity,
+    ...(textHalo
+      ? { stroke: textHalo, 'stroke-width': 3, 'stroke-linejoin': 'round', 'paint-order': 'stroke' }
+      : {}),
+  });
+
+  const root = createSvgElement('svg', {
+    xmlns: SVG_NS,
+    width,
+    height,
+    viewBox: `0 0 ${width} ${height}`,
+    'font-family': fontFamily,
+  });
+  root.appendChild(createSvgElement('rect', { width, height, fill: background }));
+
+  // 🗺️ 地圖：等比例縮放置中於標題與資料來源之間
+  const map = cloneWithInlineStyles(svgNode);
+  map.setAttribute('x', margin);
+  map.setAttribute('y', margin + headerHeight);
+  map.setAttribute('width', width - margin * 2);
+  map.setAttribute('height', height - margin * 2 - headerHeight - footerHeight);
+  map.setAttribute('viewBox', `0 0 ${sourceWidth} ${sourceHeight}`);
+  map.setAttribute('preserveAspectRatio', 'xMidYMid meet');
+  if (basemap) {
+    map.insertBefore(
+      createSvgElement('image', {
+        href: basemap,
+        width: sourceWidth,
+        height: sourceHeight,
+        preserveAspectRatio: 'none',
+      }),
+      map.firstChild
+    );
+  }
+  root.appendChild(map);
+
+  // 🧾 標題與副標題
+  root.appendChild(
+    createSvgElement(
+      'text',
+      { x: margin, y: margin + 28, 'font-size': 26, 'font-weight': 700, ...textStyle(1) },
+      title
+    )
+  );
+  if (subtitle) {
+    root.appendChild(
+      createSvgElement(
+        'text',
+        { x: margin, y: margin + 52, 'font-size': 14, ...textStyle(0.85) },
+        subtitle
+      )
+    );
+  }
+
+  // 🪐 圖例
+  if (legend && legend.items.length) {
+    const lineHeight = 18;
+    const legendWidth = 220;
+    const legendGroup = createSvgElement('g', {
+      transform: `translate(${margin + 8}, ${margin + headerHeight + 8})`,
+      'font-size': 12,
+    });
+    legendGroup.appendChild(
+      createSvgElement('rect', {
+        width: legendWidth,
+        height: 28 + legend.items.length * lineHeight,
+        rx: 6,
+        fill: '#111827',
+        'fill-opacity': 0.75,
+      })
+    );
+    legendGroup.appendChild(
+      createSvgElement('text', { x: 10, y: 18, fill: '#ffffff', 'font-weight': 600 }, legend.title)
+    );
+    legend.items.forEach((item, index) => {
+      const y = 36 + index * lineHeight;
+      legendGroup.appendChild(
+        createSvgElement('circle', {
+          cx: 16,
+          cy: y - 4,
+          r: 5,
+          fill: 'none',
+          stroke: item.color,
+          'stroke-width': 2,
+        })
+      );
+      legendGroup.appendChild(createSvgElement('text', { x: 28, y, fill: '#ffffff' }, item.name));
+      legendGroup.appendChild(
+        createSvgElement(
+          'text',
+          { x: legendWidth - 10, y, fill: '#ffffff', 'text-anchor': 'end' },
+          item.formatted
+        )
+      );
+    });
+    root.appendChild(legendGroup);
+  }
+
+  // 🧾 資料來源
+  root.appendChild(
+    createSvgElement(
+      'text',
+      {
+        x: width - margin,
+        y: height - margin,
+        'font-size': 11,
+        ...textStyle(0.75),
+        'text-anchor': 'end',
+      },
+      attribution
+    )
+  );
+
+  return new XMLSerializer().serializeToString(root);
+}
+
+/**
+ * 將 SVG 字串點陣化為 canvas
+ *
+ * @param {string} svgString - SVG 字串
+ * @param {number} width - 版面寬度（CSS 像素）
+ * @param {number} height - 版面高度（CSS 像素）
+ * @param {number} dpi - 解析度
+ * @returns {Promise<HTMLCanvasElement>} canvas
+ */
+export async function rasterizeSvg(svgString, width, height, dpi) {
+  const ratio = dpi / CSS_DPI;
+  const url = URL.createObjectURL(new Blob([svgString], { type: 'image/svg+xml;charset=utf-8' }));
+
+  try {
+    const image = new Image();
+    await new Promise((resolve, reject) => {
+      image.onload = resolve;
+      image.onerror = () => reject(new Error('SVG 點陣化失敗'));
+      image.src = url;
+    });
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+    const context = canvas.getContext('2d');
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+    return canvas;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * 將 canvas 轉為 Blob
+ *
+ * @param {HTMLCanvasElement} canvas - canvas
+ * @param {string} type - MIME 類型
+ * @param {number} [quality] - JPEG 品質
+ * @returns {Promise<Blob>} Blob
+ */
+function canvasToBlob(canvas, type, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new Error('圖片編碼失敗'))),
+      type,
+      quality
+    );
+  });
+}
+
+/** CRC-32 查表（PNG 區塊校驗用） */
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * 在 PNG 的 IHDR 之後插入 pHYs 區塊，讓影像軟體讀到正確的 DPI
+ *
+ * @param {ArrayBuffer} buffer - PNG 內容
+ * @param {number} dpi - 解析度
+ * @returns {Uint8Array} 加入 pHYs 的 PNG
+ */
+export function setPngDpi(buffer, dpi) {
+  const png = new Uint8Array(buffer);
+  const pixelsPerMeter = Math.round(dpi / 0.0254);
+
+  // 8 位元組簽章 + IHDR（4 長度 + 4 類型 + 13 資料 + 4 CRC）
+  const insertAt = 8 + 25;
+
+  const chunk = new Uint8Array(21);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, 9);
+  chunk.set([0x70, 0x48, 0x59, 0x73], 4); // 'pHYs'
+  view.setUint32(8, pixelsPerMeter);
+  view.setUint32(12, pixelsPerMeter);
+  chunk[16] = 1; // 單位：公尺
+  view.setUint32(17, crc32(chunk.subarray(4, 17)));
+
+  const result = new Uint8Array(png.length + chunk.length);
+  result.set(png.subarray(0, insertAt), 0);
+  result.set(chunk, insertAt);
+  result.set(png.subarray(insertAt), insertAt + chunk.length);
+  return result;
+}
+
+/**
+ * 以單張 JPEG 影像組成單頁 PDF
+ *
+ * @param {Uint8Array} jpeg - JPEG 內容
+ * @param {number} imageWidth - 影像寬度（像素）
+ * @param {number} imageHeight - 影像高度（像素）
+ * @param {number} widthMm - 頁面寬度（公釐）
+ * @param {number} heightMm - 頁面高度（公釐）
+ * @returns {Blob} PDF
+ */
+export function createImagePdf(jpeg, imageWidth, imageHeight, widthMm, heightMm) {
+  const encoder = new TextEncoder();
+  const pageWidth = ((widthMm / MM_PER_INCH) * POINTS_PER_INCH).toFixed(2);
+  const pageHeight = ((heightMm / MM_PER_INCH) * POINTS_PER_INCH).toFixed(2);
+  const content = `q ${pageWidth} 0 0 ${pageHeight} 0 0 cm /Im0 Do Q`;
+
+  const parts = [];
+  const offsets = [];
+  let length = 0;
+  const push = (part) => {
+    const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+    parts.push(bytes);
+    length += bytes.length;
+  };
+  const object = (id, body, stream) => {
+    offsets[id] = length;
+    push(`${id} 0 obj\n${body}\n`);
+    if (stream) {
+      push('stream\n');
+      push(stream);
+      push('\nendstream\n');
+    }
+    push('endobj\n');
+  };
+
+  push('%PDF-1.4\n');
+  object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+  object(2, '<< /Type /Pages /Kids [3 0 R] /Count 1 >>');
+  object(
+    3,
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>`
+  );
+  object(
+    4,
+    `<< /Type /XObject /Subtype /Image /Width ${imageWidth} /Height ${imageHeight} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>`,
+    jpeg
+  );
+  object(5, `<< /Length ${encoder.encode(content).length} >>`, content);
+
+  const xrefOffset = length;
+  push(`xref\n0 6\n0000000000 65535 f \n`);
+  for (let id = 1; id <= 5; id++) {
+    push(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+  }
+  push(`trailer\n<< /Size 6 /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+  return new Blob(parts, { type: 'application/pdf' });
+}
+
+/**
+ * 觸發瀏覽器下載
+ *
+ * @param {Blob} blob - 檔案內容
+ * @param {string} fileName - 檔名
+ */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * 匯出地圖
+ *
+ * @param {SVGSVGElement} svgNode - 頁面上的地圖 SVG
+ * @param {Object} options
+ * @param {string} options.format - 'svg'、'png' 或 'pdf'
+ * @param {number} [options.dpi=300] - PNG 解析度
+ * @param {string} [options.pageSize='A4'] - PDF 紙張大小
+ * @param {string} [options.orientation='landscape'] - PDF 方向
+ * @param {string} options.fileName - 不含副檔名的檔名
+ * @param {Object} options.layout - 傳給 composeExportSvg 的 title、subtitle、legend、attribution、background、basemap、
+ *   textColor、textHalo
+ * @returns {Promise<void>}
+ * @throws {Error} 當格式不支援或點陣化失敗時拋出錯誤
+ *
+ * @example
+ * await exportMap(svg.node(), { format: 'png', dpi: 300, fileName: 'map', layout: { title: '行星距離' } });
+ */
+export async function exportMap(svgNode, options) {
+  const {
+    format,
+    dpi = 300,
+    pageSize = 'A4',
+    orientation = 'landscape',
+    fileName,
+    layout,
+  } = options;
+
+  if (format === 'pdf') {
+    const page = getPageLayout(pageSize, orientation);
+    const svgString = composeExportSvg(svgNode, { ...layout, ...page });
+    const canvas = await rasterizeSvg(svgString, page.width, page.height, PDF_DPI);
+    const jpeg = new Uint8Array(
+      await (await canvasToBlob(canvas, 'image/jpeg', 0.92)).arrayBuffer()
+    );
+    const pdf = createImagePdf(jpeg, canvas.width, canvas.height, page.widthMm, page.heightMm);
+    downloadBlob(pdf, `${fileName}.pdf`);
+    return;
+  }
+
+  const width = Number(svgNode.getAttribute('width')) || svgNode.clientWidth;
+  const height = Number(svgNode.getAttribute('height')) || svgNode.clientHeight;
+  const svgString = composeExportSvg(svgNode, { ...layout, width, height });
+
+  if (format === 'svg') {
+    downloadBlob(new Blob([svgString], { type: 'image/svg+xml;charset=utf-8' }), `${fileName}.svg`);
+    return;
+  }
+
+  if (format === 'png') {
+    const canvas = await rasterizeSvg(svgString, width, height, dpi);
+    const png = await (await canvasToBlob(canvas, 'image/png')).arrayBuffer();
+    downloadBlob(new Blob([setPngDpi(png, dpi)], { type: 'image/png' }), `${fileName}.png`);
+    return;
+  }
+
+  throw new Error(`不支援的匯出格式 "${format}"`);
+}
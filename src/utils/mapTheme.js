@@ -0,0 +1,289 @@
+/**
+ * 🎨 地圖主題模組 (Map Theme Module)
+ *
+ * 地圖的所有視覺參數（背景、國家、邊界、經緯網、距離圓圈、航線、量測、城市與文字）集中在
+ * defineStore.mapStyle，本模組提供預設主題、欄位定義與驗證，以及主題 JSON 的匯入 / 匯出。
+ *
+ * 📋 主題 JSON 格式：
+ * {
+ *   "name": "深色太空",
+ *   "version": 1,
+ *   "mapStyle": { "background": { "color": "#05070f" }, "rings": { "width": 1.5 }, ... }
+ * }
+ * mapStyle 可以只包含部分欄位，其餘沿用預設值。
+ *
+ * 📁 相關文件：
+ * - ../stores/defineStore.js - 保存目前的主題（localStorage）
+ * - ../tabs/MapTab.vue - 依主題繪製地圖，並提供外觀設定面板
+ */
+
+/** 🎨 預設主題 id */
+export const DEFAULT_THEME = 'default';
+
+/** 📐 主題檔案格式版本 */
+const THEME_FILE_VERSION = 1;
+
+/**
+ * 🗂️ 可調整的欄位（設定面板依此產生）
+ * type 為 color 時值為 #rrggbb；optional 表示允許空字串（例如距離圓圈留空時使用圓圈組的顏色）
+ */
+export const THEME_FIELDS = [
+  { group: 'background', key: 'color', label: '背景', type: 'color' },
+  { group: 'countryColors', key: 'land', label: '國家', type: 'color' },
+  { group: 'countryColors', key: 'highlighted', label: '圓圈經過的國家', type: 'color' },
+  { group: 'borderStyle', key: 'color', label: '國界', type: 'color' },
+  {
+    group: 'borderStyle',
+    key: 'width',
+    label: '國界寬度',
+    type: 'range',
+    min: 0,
+    max: 3,
+    step: 0.25,
+  },
+  { group: 'graticule', key: 'color', label: '經緯網', type: 'color' },
+  {
+    group: 'graticule',
+    key: 'width',
+    label: '經緯網寬度',
+    type: 'range',
+    min: 0,
+    max: 3,
+    step: 0.25,
+  },
+  {
+    group: 'rings',
+    key: 'color',
+    label: '距離圓圈（留空使用圓圈組顏色）',
+    type: 'color',
+    optional: true,
+  },
+  {
+    group: 'rings',
+    key: 'width',
+    label: '距離圓圈寬度',
+    type: 'range',
+    min: 0.5,
+    max: 6,
+    step: 0.5,
+  },
+  { group: 'rings', key: 'boundaryColor', label: '地球邊界', type: 'color' },
+  {
+    group: 'rings',
+    key: 'boundaryWidth',
+    label: '地球邊界寬度',
+    type: 'range',
+    min: 0,
+    max: 6,
+    step: 0.5,
+  },
+  { group: 'routes', key: 'color', label: '航線', type: 'color' },
+  { group: 'routes', key: 'width', label: '航線寬度', type: 'range', min: 0.5, max: 6, step: 0.5 },
+  { group: 'measurements', key: 'color', label: '量測', type: 'color' },
+  {
+    group: 'measurements',
+    key: 'width',
+    label: '量測線寬度',
+    type: 'range',
+    min: 0.5,
+    max: 6,
+    step: 0.5,
+  },
+  { group: 'cities', key: 'color', label: '城市', type: 'color' },
+  { group: 'cities', key: 'outline', label: '城市外框', type: 'color' },
+  { group: 'cities', key: 'radius', label: '城市大小', type: 'range', min: 1, max: 10, step: 0.5 },
+  { group: 'labels', key: 'color', label: '文字', type: 'color' },
+  { group: 'labels', key: 'halo', label: '文字外框', type: 'color' },
+  { group: 'labels', key: 'fontSize', label: '字級', type: 'range', min: 8, max: 24, step: 1 },
+];
+
+/** 🖌️ 原本的外觀（default 主題），也定義了所有群組與欄位 */
+const BASE_STYLE = {
+  background: { color: '#f0f0f0' },
+  countryColors: {
+    land: '#192133', // 國家填色
+    highlighted: '#b45309', // 圓圈經過的國家顏色
+    taiwan: '#ff9999', // 台灣特殊顏色
+    visited: '#666666', // 已造訪國家顏色
+    unvisited: 'transparent', // 未造訪國家顏色（透明）
+  },
+  borderStyle: { color: '#cbd5f5', width: 0.5, opacity: 0.95 },
+  graticule: { color: '#475569', width: 0.5, opacity: 0.6 },
+  rings: { color: '', width: 1, boundaryColor: '#666666', boundaryWidth: 2 },
+  routes: { color: '#38bdf8', width: 1.5 },
+  measurements: { color: '#f43f5e', width: 2 },
+  cities: { color: '#ffde59', outline: '#0f172a', radius: 3.5 },
+  labels: { color: '#ffffff', halo: '#0f172a', fontSize: 12 },
+};
+
+/** 📚 主題預設集：只列出與 default 不同的欄位 */
+export const THEME_PRESETS = {
+  default: { label: '預設', mapStyle: {} },
+  darkSpace: {
+    label: '深色太空',
+    mapStyle: {
+      background: { color: '#05070f' },
+      countryColors: { land: '#1e293b', highlighted: '#d97706' },
+      borderStyle: { color: '#64748b' },
+      graticule: { color: '#334155' },
+      rings: { boundaryColor: '#94a3b8' },
+      labels: { color: '#f8fafc', halo: '#05070f' },
+    },
+  },
+  lightPrint: {
+    label: '淺色列印',
+    mapStyle: {
+      background: { color: '#ffffff' },
+      countryColors: { land: '#e5e7eb', highlighted: '#fcd34d' },
+      borderStyle: { color: '#6b7280', width: 0.5 },
+      graticule: { color: '#d1d5db', opacity: 1 },
+      rings: { boundaryColor: '#374151', boundaryWidth: 1.5 },
+      routes: { color: '#1d4ed8' },
+      measurements: { color: '#be123c' },
+      cities: { color: '#b91c1c', outline: '#ffffff' },
+      labels: { color: '#111827', halo: '#ffffff' },
+    },
+  },
+  highContrast: {
+    label: '高對比',
+    mapStyle: {
+      background: { color: '#000000' },
+      countryColors: { land: '#1a1a1a', highlighted: '#ff00ff' },
+      borderStyle: { color: '#ffffff', width: 1, opacity: 1 },
+      graticule: { color: '#808080', width: 0.75, opacity: 0.8 },
+      rings: { color: '#ffff00', width: 2, boundaryColor: '#ffffff', boundaryWidth: 3 },
+      routes: { color: '#00ff00', width: 2.5 },
+      measurements: { color: '#ff8800', width: 3 },
+      cities: { color: '#00ffff', outline: '#000000', radius: 5 },
+      labels: { color: '#ffffff', halo: '#000000', fontSize: 14 },
+    },
+  },
+};
+
+/** 🗂️ 主題選單 */
+export const THEME_OPTIONS = Object.entries(THEME_PRESETS).map(([id, { label }]) => ({
+  id,
+  label,
+}));
+
+const COLOR_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * 驗證並合併主題設定
+ * 只接受已知的群組與欄位；顏色必須是 #rgb / #rrggbb，數值必須在欄位範圍內
+ *
+ * @param {Object} base - 目前的完整主題
+ * @param {Object} changes - 要合併的部分主題
+ * @returns {Object} 新的完整主題（不修改 base）
+ * @throws {Error} 當群組、欄位或值無效時拋出錯誤
+ */
+export function mergeMapStyle(base, changes) {
+  if (typeof changes !== 'object' || changes === null || Array.isArray(changes)) {
+    throw new Error('樣式配置必須是一個對象');
+  }
+
+  const result = JSON.parse(JSON.stringify(base));
+
+  Object.entries(changes).forEach(([group, values]) => {
+    if (!BASE_STYLE[group]) {
+      throw new Error(`未知的樣式群組 "${group}"`);
+    }
+    if (typeof values !== 'object' || values === null) {
+      throw new Error(`樣式群組 "${group}" 必須是一個對象`);
+    }
+
+    Object.entries(values).forEach(([key, value]) => {
+      if (!(key in BASE_STYLE[group])) {
+        throw new Error(`未知的樣式欄位 "${group}.${key}"`);
+      }
+
+      const field = THEME_FIELDS.find((item) => item.group === group && item.key === key);
+      const expected = BASE_STYLE[group][key];
+
+      if (typeof expected === 'number') {
+        const number = Number(value);
+        const min = field?.min ?? 0;
+        const max = field?.max ?? 1;
+        if (!Number.isFinite(number) || number < min || number > max) {
+          throw new Error(`樣式欄位 "${group}.${key}" 必須介於 ${min} 到 ${max}`);
+        }
+        result[group][key] = number;
+        return;
+      }
+
+      const text = String(value ?? '').trim();
+      const isAllowed =
+        COLOR_PATTERN.test(text) ||
+        (text === '' && field?.optional) ||
+        (!field && (text === 'transparent' || text === 'none'));
+      if (!isAllowed) {
+        throw new Error(`樣式欄位 "${group}.${key}" 的顏色 "${text}" 無效（請使用 #rrggbb）`);
+      }
+      // #rgb 展開為 #rrggbb，讓 <input type="color"> 可以顯示
+      result[group][key] =
+        text.length === 4 && text.startsWith('#')
+          ? `#${[...text.slice(1)].map((char) => char + char).join('')}`.toLowerCase()
+          : text;
+    });
+  });
+
+  return result;
+}
+
+/**
+ * 建立預設主題的完整樣式
+ *
+ * @param {string} [id=DEFAULT_THEME] - 主題 id
+ * @returns {Object} 完整的 mapStyle
+ * @throws {Error} 當主題不存在時拋出錯誤
+ */
+export function createMapStyle(id = DEFAULT_THEME) {
+  const preset = THEME_PRESETS[id];
+  if (!preset) {
+    throw new Error(`主題 "${id}" 不存在`);
+  }
+  return mergeMapStyle(BASE_STYLE, preset.mapStyle);
+}
+
+/**
+ * 將主題轉為 JSON 文字（供下載）
+ *
+ * @param {Object} mapStyle - 完整的 mapStyle
+ * @param {string} [name='自訂主題'] - 主題名稱
+ * @returns {string} JSON 文字
+ */
+export function serializeMapStyle(mapStyle, name = '自訂主題') {
+  return JSON.stringify({ name, version: THEME_FILE_VERSION, mapStyle }, null, 2);
+}
+
+/**
+ * 解析主題 JSON，缺少的欄位使用預設值
+ * 也接受直接是 mapStyle 內容的 JSON
+ *
+ * @param {string} text - JSON 文字
+ * @returns {Object} { name, mapStyle }
+ * @throws {Error} 當 JSON 格式或主題內容無效時拋出錯誤
+ */
+export function parseMapStyleFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`主題檔案不是有效的 JSON：${error.message}`);
+  }
+
+  if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+    throw new Error('主題檔案必須是 JSON 物件');
+  }
+  if (data.version !== undefined && data.version > THEME_FILE_VERSION) {
+    throw new Error(`不支援的主題檔案版本 ${data.version}`);
+  }
+
+  // 沒有 mapStyle 成員時，整個物件（除了 name、version）就是樣式內容
+  const changes =
+    data.mapStyle ??
+    Object.fromEntries(Object.entries(data).filter(([key]) => key !== 'name' && key !== 'version'));
+  const mapStyle = mergeMapStyle(createMapStyle(), changes);
+  const name = typeof data.name === 'string' && data.name.trim() ? data.name.trim() : '匯入的主題';
+  return { name, mapStyle };
+}
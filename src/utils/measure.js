@@ -0,0 +1,121 @@
+/**
+ * 📐 量測模組 (Measurement Module)
+ *
+ * 在地圖上依序點擊頂點，量測多段大圓路徑的長度；封閉成多邊形後量測球面面積。
+ * - 長度：每段以 calculateDistance（Haversine）計算，支援公里、英里與海里
+ * - 面積：d3.geoArea 的球面面積（立體角）乘以地球半徑的平方
+ *
+ * d3 依環繞方向判斷多邊形的內側：順時針為內側，逆時針則是「多邊形以外的整個地球」。
+ * 使用者點擊的順序不固定，因此封閉的多邊形一律取較小的一側。
+ *
+ * 📁 相關文件：
+ * - ../tabs/MapTab.vue - 量測工具（點擊加入頂點、雙擊結束、拖曳頂點）與量測清單
+ * - ./utils.js - calculateDistance 與各單位的地球半徑
+ */
+
+import * as d3 from 'd3';
+import { calculateDistance, EARTH_RADIUS_BY_UNIT } from './utils.js';
+
+/** 📏 長度單位（id 為 calculateDistance 的 unit） */
+export const MEASURE_UNITS = [
+  { id: 'km', label: '公里', symbol: 'km' },
+  { id: 'miles', label: '英里', symbol: 'mi' },
+  { id: 'nm', label: '海里', symbol: 'nm' },
+];
+
+/** 📏 預設的長度單位 */
+export const DEFAULT_MEASURE_UNIT = 'km';
+
+/**
+ * 取得長度單位
+ *
+ * @param {string} id - MEASURE_UNITS 的 id
+ * @returns {Object} { id, label, symbol }
+ * @throws {Error} 當單位不存在時拋出錯誤
+ */
+function getMeasureUnit(id) {
+  const unit = MEASURE_UNITS.find((item) => item.id === id);
+  if (!unit) {
+    throw new Error(`不支援的長度單位 "${id}"`);
+  }
+  return unit;
+}
+
+/**
+ * 量測各段長度與累計長度
+ *
+ * @param {Array<Array<number>>} points - 頂點 [[經度, 緯度], ...]
+ * @param {Object} [options]
+ * @param {boolean} [options.closed=false] - 是否封閉（加上最後一個頂點回到第一個頂點的一段）
+ * @param {string} [options.unit='km'] - 長度單位
+ * @returns {Object} { segments: [{ from, to, length, total }], total }
+ *   from、to 為頂點座標，total 為到該段為止的累計長度
+ *
+ * @example
+ * measurePath([[121.56, 25.03], [139.69, 35.68]]).total; // 台北到東京約 2,100 km
+ */
+export function measurePath(points, { closed = false, unit = DEFAULT_MEASURE_UNIT } = {}) {
+  getMeasureUnit(unit);
+
+  const ends = closed && points.length > 2 ? [...points, points[0]] : points;
+  let total = 0;
+  const segments = d3.pairs(ends).map(([from, to]) => {
+    const length = calculateDistance(from[1], from[0], to[1], to[0], unit);
+    total += length;
+    return { from, to, length, total };
+  });
+
+  return { segments, total };
+}
+
+/**
+ * 量測的 GeoJSON 幾何：未封閉為 LineString；封閉為取較小一側的 Polygon
+ *
+ * @param {Array<Array<number>>} points - 頂點 [[經度, 緯度], ...]
+ * @param {boolean} [closed=false] - 是否封閉
+ * @returns {Object} GeoJSON 幾何
+ */
+export function toMeasureGeometry(points, closed = false) {
+  if (!closed || points.length < 3) {
+    return { type: 'LineString', coordinates: points };
+  }
+
+  const ring = [...points, points[0]];
+  const polygon = { type: 'Polygon', coordinates: [ring] };
+  return d3.geoArea(polygon) > 2 * Math.PI
+    ? { type: 'Polygon', coordinates: [[...ring].reverse()] }
+    : polygon;
+}
+
+/**
+ * 封閉多邊形的球面面積
+ *
+ * @param {Array<Array<number>>} points - 頂點 [[經度, 緯度], ...]（至少 3 個）
+ * @param {string} [unit='km'] - 長度單位，面積為該單位的平方
+ * @returns {number} 面積，頂點不足 3 個時為 0
+ */
+export function measureArea(points, unit = DEFAULT_MEASURE_UNIT) {
+  getMeasureUnit(unit);
+  if (points.length < 3) return 0;
+
+  const radius = EARTH_RADIUS_BY_UNIT[unit];
+  return d3.geoArea(toMeasureGeometry(points, true)) * radius * radius;
+}
+
+const lengthFormatters = [0, 1, 2].map(
+  (digits) => new Intl.NumberFormat('en-US', { maximumFractionDigits: digits })
+);
+
+/**
+ * 格式化長度或面積（數值越小保留越多位小數）
+ *
+ * @param {number} value - 長度或面積
+ * @param {string} [unit='km'] - 長度單位
+ * @param {boolean} [isArea=false] - 是否為面積（單位加上 ²）
+ * @returns {string} 例如 "2,103 km"、"12.5 mi"、"3,450 nm²"
+ */
+export function formatMeasure(value, unit = DEFAULT_MEASURE_UNIT, isArea = false) {
+  const { symbol } = getMeasureUnit(unit);
+  const formatter = lengthFormatters[value < 10 ? 2 : value < 100 ? 1 : 0];
+  return `${formatter.format(value)} ${symbol}${isArea ? '²' : ''}`;
+}
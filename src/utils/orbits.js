@@ -0,0 +1,178 @@
+/**
+ * 🪐 行星軌道計算模組 (Planetary Orbit Module)
+ *
+ * 以標準克卜勒軌道根數在本地計算八大行星的日心黃道座標，不需要任何網路資料。
+ * 根數與每世紀變化率取自 JPL「Keplerian Elements for Approximate Positions of the
+ * Major Planets」(E. M. Standish) 表 1，適用於西元 1800–2050 年，黃經誤差約數角分以內。
+ *
+ * 📋 主要功能：
+ * 1. 📅 日期與儒略日轉換
+ * 2. 🧮 解克卜勒方程式，求出指定日期的日心黃道直角座標
+ * 3. 🧭 取得日心黃經（度）與日心距離（AU）
+ *
+ * 📁 相關文件：
+ * - ../tabs/MapTab.vue - 將行星依黃經放置在距離圓圈上
+ * - ../../public/data/ring-sets/planet-distance.json - 以 body 欄位對應行星
+ */
+
+/** 📅 J2000.0 曆元的儒略日 */
+const J2000_JULIAN_DAY = 2451545.0;
+
+/** 📅 UNIX 紀元（1970-01-01T00:00Z）的儒略日 */
+const UNIX_EPOCH_JULIAN_DAY = 2440587.5;
+
+/** 📅 適用的日期範圍（JPL 表 1） */
+export const ORBIT_DATE_RANGE = {
+  min: new Date(Date.UTC(1800, 0, 1)),
+  max: new Date(Date.UTC(2050, 11, 31)),
+};
+
+/**
+ * 🪐 軌道根數（J2000.0）與每儒略世紀變化率
+ * [a (AU), e, I (°), L (°), ϖ 近日點經度 (°), Ω 升交點經度 (°)]
+ */
+const ORBITAL_ELEMENTS = {
+  mercury: {
+    elements: [0.38709927, 0.20563593, 7.00497902, 252.2503235, 77.45779628, 48.33076593],
+    rates: [0.00000037, 0.00001906, -0.00594749, 149472.67411175, 0.16047689, -0.12534081],
+  },
+  venus: {
+    elements: [0.72333566, 0.00677672, 3.39467605, 181.9790995, 131.60246718, 76.67984255],
+    rates: [0.0000039, -0.00004107, -0.0007889, 58517.81538729, 0.00268329, -0.27769418],
+  },
+  earth: {
+    elements: [1.00000261, 0.01671123, -0.00001531, 100.46457166, 102.93768193, 0],
+    rates: [0.00000562, -0.00004392, -0.01294668, 35999.37244981, 0.32327364, 0],
+  },
+  mars: {
+    elements: [1.52371034, 0.0933941, 1.84969142, -4.55343205, -23.94362959, 49.55953891],
+    rates: [0.00001847, 0.00007882, -0.00813131, 19140.30268499, 0.44441088, -0.29257343],
+  },
+  jupiter: {
+    elements: [5.202887, 0.04838624, 1.30439695, 34.39644051, 14.72847983, 100.47390909],
+    rates: [-0.00011607, -0.00013253, -0.00183714, 3034.74612775, 0.21252668, 0.20469106],
+  },
+  saturn: {
+    elements: [9.53667594, 0.05386179, 2.48599187, 49.95424423, 92.59887831, 113.66242448],
+    rates: [-0.0012506, -0.00050991, 0.00193609, 1222.49362201, -0.41897216, -0.28867794],
+  },
+  uranus: {
+    elements: [19.18916464, 0.04725744, 0.77263783, 313.23810451, 170.9542763, 74.01692503],
+    rates: [-0.00196176, -0.00004397, -0.00242939, 428.48202785, 0.40805281, 0.04240589],
+  },
+  neptune: {
+    elements: [30.06992276, 0.00859048, 1.77004347, -55.12002969, 44.96476227, 131.78422574],
+    rates: [0.00026291, 0.00005105, 0.00035372, 218.45945325, -0.32241464, -0.00508664],
+  },
+};
+
+/** 🪐 可計算位置的天體識別碼 */
+export const ORBIT_BODIES = Object.keys(ORBITAL_ELEMENTS);
+
+const DEG = Math.PI / 180;
+
+/**
+ * 將角度正規化到 [-180, 180)
+ *
+ * @param {number} degrees - 角度
+ * @returns {number} 正規化後的角度
+ */
+function normalizeSignedDegrees(degrees) {
+  return ((((degrees + 180) % 360) + 360) % 360) - 180;
+}
+
+/**
+ * 將 Date 轉為儒略日
+ *
+ * @param {Date} date - 日期
+ * @returns {number} 儒略日
+ */
+export function toJulianDay(date) {
+  return date.getTime() / 86400000 + UNIX_EPOCH_JULIAN_DAY;
+}
+
+/**
+ * 解克卜勒方程式 M = E − e·sin(E)（牛頓法）
+ *
+ * @param {number} meanAnomaly - 平近點角（弧度）
+ * @param {number} eccentricity - 離心率
+ * @returns {number} 偏近點角 E（弧度）
+ */
+export function solveKepler(meanAnomaly, eccentricity) {
+  let E = meanAnomaly + eccentricity * Math.sin(meanAnomaly);
+  for (let i = 0; i < 20; i++) {
+    const delta = (E - eccentricity * Math.sin(E) - meanAnomaly) / (1 - eccentricity * Math.cos(E));
+    E -= delta;
+    if (Math.abs(delta) < 1e-10) break;
+  }
+  return E;
+}
+
+/**
+ * 計算天體在指定日期的日心黃道位置
+ *
+ * @param {string} body - 天體識別碼（見 ORBIT_BODIES）
+ * @param {Date} date - 日期
+ * @returns {Object} { x, y, z }（AU，J2000 黃道座標）、longitude（日心黃經，0–360°）、
+ *   latitude（日心黃緯，度）與 distance（日心距離，AU）
+ * @throws {Error} 當天體不存在時拋出錯誤
+ *
+ * @example
+ * const { longitude } = heliocentricPosition('earth', new Date('2024-03-20T03:06:00Z'));
+ * // ≈ 180°（春分時太陽位於地心黃經 0°，地球位於日心黃經 180°）
+ */
+export function heliocentricPosition(body, date) {
+  const orbit = ORBITAL_ELEMENTS[body];
+  if (!orbit) {
+    throw new Error(`未知的天體 "${body}"`);
+  }
+
+  const T = (toJulianDay(date) - J2000_JULIAN_DAY) / 36525;
+  const [a, e, I, L, perihelion, node] = orbit.elements.map(
+    (value, index) => value + orbit.rates[index] * T
+  );
+
+  const argumentOfPerihelion = (perihelion - node) * DEG;
+  const meanAnomaly = normalizeSignedDegrees(L - perihelion) * DEG;
+  const E = solveKepler(meanAnomaly, e);
+
+  // 軌道平面座標
+  const xOrbit = a * (Math.cos(E) - e);
+  const yOrbit = a * Math.sqrt(1 - e * e) * Math.sin(E);
+
+  // 轉換到 J2000 黃道座標
+  const cosW = Math.cos(argumentOfPerihelion);
+  const sinW = Math.sin(argumentOfPerihelion);
+  const cosN = Math.cos(node * DEG);
+  const sinN = Math.sin(node * DEG);
+  const cosI = Math.cos(I * DEG);
+  const sinI = Math.sin(I * DEG);
+
+  const x =
+    (cosW * cosN - sinW * sinN * cosI) * xOrbit + (-sinW * cosN - cosW * sinN * cosI) * yOrbit;
+  const y =
+    (cosW * sinN + sinW * cosN * cosI) * xOrbit + (-sinW * sinN + cosW * cosN * cosI) * yOrbit;
+  const z = sinW * sinI * xOrbit + cosW * sinI * yOrbit;
+
+  const distance = Math.sqrt(x * x + y * y + z * z);
+
+  return {
+    x,
+    y,
+    z,
+    longitude: (((Math.atan2(y, x) / DEG) % 360) + 360) % 360,
+    latitude: Math.asin(z / distance) / DEG,
+    distance,
+  };
+}
+
+/**
+ * 將日心黃經轉換為地圖上的方位角
+ * 以春分點方向為正北；由黃道北極俯視時行星逆時針公轉，因此方位角 = 360° − 黃經
+ *
+ * @param {number} longitude - 日心黃經（度）
+ * @returns {number} 方位角（度，正北為 0°、順時針）
+ */
+export function longitudeToAzimuth(longitude) {
+  return (360 - longitude) % 360;
+}
@@ -0,0 +1,295 @@
+/**
+ * 🌐 投影模組 (Projections Module)
+ *
+ * 地圖預設使用方位等距投影：從中心出發的距離與方位都正確，同心的距離圓間距相等，
+ * 因此最適合表達「從這裡算起多遠」。本模組提供其他投影作為對照，說明為什麼選擇方位等距：
+ *
+ * 📋 投影與特性：
+ * - 方位等距（azimuthalEquidistant）：保距，可顯示整個地球
+ * - 方位等積（azimuthalEqualArea）：保面積，外圈距離被壓縮
+ * - 正射（orthographic）：太空中看到的地球，只顯示半球
+ * - 平射（stereographic）：保角，外圈距離急速放大
+ * - 心射（gnomonic）：大圓為直線，只能顯示小於半球
+ * - 等距圓柱（equirectangular）與 Robinson：世界地圖，距離圓變成扭曲的曲線
+ *
+ * 切換投影時以 d3.geoProjectionMutator 內插兩個投影的原始函式產生動畫。
+ *
+ * 📁 相關文件：
+ * - ../tabs/MapTab.vue - 投影選單、切換動畫與對照小地圖
+ */
+
+import * as d3 from 'd3';
+
+/** 🌐 預設投影 */
+export const DEFAULT_PROJECTION = 'azimuthalEquidistant';
+
+/**
+ * Robinson 投影係數表（每 5° 緯度的 X 與 Y 係數）
+ * 來源：Robinson (1974)，d3 核心未內建此投影
+ */
+const ROBINSON_TABLE = [
+  [1.0, 0.0],
+  [0.9986, 0.062],
+  [0.9954, 0.124],
+  [0.99, 0.186],
+  [0.9822, 0.248],
+  [0.973, 0.31],
+  [0.96, 0.372],
+  [0.9427, 0.434],
+  [0.9216, 0.4958],
+  [0.8962, 0.5571],
+  [0.8679, 0.6176],
+  [0.835, 0.6769],
+  [0.7986, 0.7346],
+  [0.7597, 0.7903],
+  [0.7186, 0.8435],
+  [0.6732, 0.8936],
+  [0.6213, 0.9394],
+  [0.5722, 0.9761],
+  [0.5322, 1.0],
+];
+
+const ROBINSON_X = 0.8487;
+const ROBINSON_Y = 1.3523;
+const RADIANS_PER_DEGREE = Math.PI / 180;
+
+/**
+ * Robinson 投影原始函式（係數表線性內插）
+ *
+ * @param {number} lambda - 經度（弧度）
+ * @param {number} phi - 緯度（弧度）
+ * @returns {Array<number>} [x, y]
+ */
+function robinsonRaw(lambda, phi) {
+  const degrees = Math.min(Math.abs(phi) / RADIANS_PER_DEGREE, 90);
+  const index = Math.min(Math.floor(degrees / 5), ROBINSON_TABLE.length - 2);
+  const fraction = (degrees - index * 5) / 5;
+  const [x0, y0] = ROBINSON_TABLE[index];
+  const [x1, y1] = ROBINSON_TABLE[index + 1];
+
+  return [
+    ROBINSON_X * (x0 + (x1 - x0) * fraction) * lambda,
+    ROBINSON_Y * (y0 + (y1 - y0) * fraction) * Math.sign(phi),
+  ];
+}
+
+robinsonRaw.invert = (x, y) => {
+  const target = Math.abs(y) / ROBINSON_Y;
+  if (target > 1 + 1e-9) return [NaN, NaN];
+
+  let index = 0;
+  while (index < ROBINSON_TABLE.length - 2 && ROBINSON_TABLE[index + 1][1] < target) {
+    index++;
+  }
+  const [x0, y0] = ROBINSON_TABLE[index];
+  const [x1, y1] = ROBINSON_TABLE[index + 1];
+  const fraction = Math.min((target - y0) / (y1 - y0), 1);
+  const lambda = x / (ROBINSON_X * (x0 + (x1 - x0) * fraction));
+
+  if (Math.abs(lambda) > Math.PI + 1e-9) return [NaN, NaN];
+  return [lambda, Math.sign(y) * (index + fraction) * 5 * RADIANS_PER_DEGREE];
+};
+
+/**
+ * 🗂️ 可選擇的投影
+ *
+ * - raw：d3 投影原始函式
+ * - clipAngle：方位投影以中心為圓心的裁切角度（度）；世界地圖為 null（沿反子午線裁切）
+ * - radial：方位投影中，角距離 c（弧度）對應到的螢幕半徑（以 scale 為單位）
+ */
+export const PROJECTIONS = {
+  azimuthalEquidistant: {
+    label: '方位等距',
+    raw: d3.geoAzimuthalEquidistantRaw,
+    clipAngle: 180,
+    radial: (c) => c,
+    description: '保距：從中心出發的距離與方位都正確，距離圓間距相等，可顯示整個地球',
+  },
+  azimuthalEqualArea: {
+    label: '方位等積',
+    raw: d3.geoAzimuthalEqualAreaRaw,
+    clipAngle: 180 - 1e-3,
+    radial: (c) => 2 * Math.sin(c / 2),
+    description: '保面積：面積比例正確，但離中心越遠距離越被壓縮，外圈越來越密',
+  },
+  orthographic: {
+    label: '正射（地球儀）',
+    raw: d3.geoOrthographicRaw,
+    clipAngle: 90,
+    radial: (c) => Math.sin(c),
+    description: '如同從太空看地球：只看得到半球，邊緣的距離嚴重壓縮',
+  },
+  stereographic: {
+    label: '平射',
+    raw: d3.geoStereographicRaw,
+    clipAngle: 140,
+    radial: (c) => 2 * Math.tan(c / 2),
+    description: '保角：局部形狀正確，但離中心越遠距離放大越快，無法顯示整個地球',
+  },
+  gnomonic: {
+    label: '心射',
+    raw: d3.geoGnomonicRaw,
+    clipAngle: 60,
+    radial: (c) => Math.tan(c),
+    description: '所有大圓都是直線（適合航線規劃），但只能顯示小於半球，外圈極度放大',
+  },
+  equirectangular: {
+    label: '等距圓柱',
+    raw: d3.geoEquirectangularRaw,
+    clipAngle: null,
+    radial: null,
+    description: '經緯線等間距的世界地圖：高緯度東西向拉長，距離圓變成扭曲的曲線',
+  },
+  robinson: {
+    label: 'Robinson',
+    raw: robinsonRaw,
+    clipAngle: null,
+    radial: null,
+    description: '折衷的世界地圖：外觀自然，但距離、面積與角度都不精確',
+  },
+};
+
+/** 📋 投影選單 */
+export const PROJECTION_OPTIONS = Object.entries(PROJECTIONS).map(([id, { label }]) => ({
+  id,
+  label,
+}));
+
+/**
+ * 取得投影設定
+ *
+ * @param {string} id - 投影 id
+ * @returns {Object} 投影設定
+ * @throws {Error} 當投影不存在時拋出錯誤
+ */
+export function getProjectionConfig(id) {
+  const config = PROJECTIONS[id];
+  if (!config) {
+    throw new Error(`不支援的投影 "${id}"`);
+  }
+  return config;
+}
+
+/**
+ * 是否為世界地圖投影（不以中心為圓心裁切）
+ *
+ * @param {string} id - 投影 id
+ * @returns {boolean} 是否為世界地圖
+ */
+export function isWorldProjection(id) {
+  return getProjectionConfig(id).clipAngle === null;
+}
+
+/**
+ * 建立 d3 投影並套用裁切
+ *
+ * @param {string} id - 投影 id
+ * @returns {Function} d3 投影
+ */
+export function createProjection(id) {
+  const { raw, clipAngle } = getProjectionConfig(id);
+  return d3.geoProjection(raw).clipAngle(clipAngle);
+}
+
+/**
+ * 計算讓指定中心位於畫面中央的旋轉
+ * 方位投影直接以中心為投影中心；世界地圖只轉經度，保持南北向
+ *
+ * @param {string} id - 投影 id
+ * @param {Array<number>} center - 中心 [經度, 緯度]
+ * @returns {Array<number>} d3 rotate 參數
+ */
+export function getProjectionRotation(id, center) {
+  return isWorldProjection(id) ? [-center[0], 0] : [-center[0], -center[1]];
+}
+
+/**
+ * 計算投影縮放比例
+ * 方位投影讓 visibleAngle（不超過裁切角度）剛好容納在畫面內；世界地圖容納整個地球
+ *
+ * @param {string} id - 投影 id
+ * @param {Object} options
+ * @param {number} options.width - 畫面寬度（px）
+ * @param {number} options.height - 畫面高度（px）
+ * @param {number} [options.padding=32] - 邊距（px）
+ * @param {number} [options.visibleAngle=Math.PI] - 要顯示的角距離（弧度）
+ * @returns {number} d3 投影的 scale
+ */
+export function fitProjectionScale(id, { width, height, padding = 32, visibleAngle = Math.PI }) {
+  const { raw, clipAngle, radial } = getProjectionConfig(id);
+
+  if (clipAngle === null) {
+    const unit = d3.geoProjection(raw).scale(1).translate([0, 0]);
+    const [[x0, y0], [x1, y1]] = d3.geoPath(unit).bounds({ type: 'Sphere' });
+    return Math.min((width - padding * 2) / (x1 - x0), (height - padding * 2) / (y1 - y0));
+  }
+
+  const availableRadius = Math.min(width, height) / 2 - padding;
+  const angle = Math.min(visibleAngle, clipAngle * RADIANS_PER_DEGREE);
+  return availableRadius / radial(angle);
+}
+
+/**
+ * 建立兩個投影之間的內插投影，用於切換動畫
+ * 回傳的投影多了 alpha(t) 方法：0 為起始投影，1 為目標投影
+ *
+ * @param {string} fromId - 起始投影 id
+ * @param {string} toId - 目標投影 id
+ * @returns {Function} d3 投影（含 alpha 方法）
+ */
+export function interpolateProjection(fromId, toId) {
+  const from = getProjectionConfig(fromId);
+  const to = getProjectionConfig(toId);
+
+  const mutate = d3.geoProjectionMutator((t) => (lambda, phi) => {
+    const a = from.raw(lambda, phi);
+    const b = to.raw(lambda, phi);
+    return [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+  });
+
+  // 動畫中使用兩者中較小的裁切角度，避免投影在定義域外（例如心射的 90° 之外）發散
+  const clipAngles = [from.clipAngle, to.clipAngle].filter((angle) => angle !== null);
+  const clipAngle = clipAngles.length ? Math.min(...clipAngles) : null;
+  const hasWorld = clipAngles.length < 2;
+
+  const projection = mutate(0).clipAngle(hasWorld && clipAngle >= 179.9 ? null : clipAngle);
+  projection.alpha = (t) => mutate(t);
+  return projection;
+}
+
+/**
+ * 經緯度是否在投影的裁切範圍內（例如正射投影背面的點不可見）
+ *
+ * @param {Function} projection - d3 投影
+ * @param {Array<number>} coordinates - [經度, 緯度]
+ * @returns {boolean} 是否可見
+ */
+export function isPointVisible(projection, coordinates) {
+  const clipAngle = projection.clipAngle();
+  if (!clipAngle) return true;
+
+  const [lambda, phi] = projection.rotate();
+  return d3.geoDistance(coordinates, [-lambda, -phi]) <= clipAngle * RADIANS_PER_DEGREE;
+}
+
+/**
+ * 將螢幕座標反投影為經緯度，超出地圖可見範圍時回傳 null
+ *
+ * @param {Function} projection - d3 投影
+ * @param {Array<number>} point - 螢幕座標 [x, y]
+ * @returns {Array<number>|null} [經度, 緯度]
+ */
+export function invertScreenPoint(projection, point) {
+  if (!projection?.invert) return null;
+
+  const coordinates = projection.invert(point);
+  if (!coordinates || coordinates.some((value) => !Number.isFinite(value))) return null;
+
+  // 反投影後再投影回來，位置不同表示該點在地圖範圍之外
+  const projected = projection(coordinates);
+  if (!projected || Math.hypot(projected[0] - point[0], projected[1] - point[1]) > 1) {
+    return null;
+  }
+
+  return isPointVisible(projection, coordinates) ? coordinates : null;
+}
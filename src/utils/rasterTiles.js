@@ -0,0 +1,417 @@
+/**
+ * 🛰️ 點陣圖磚底圖模組 (Raster Tile Basemap Module)
+ *
+ * XYZ 圖磚是 Web Mercator 投影，無法直接貼到方位等距等投影上。本模組在 canvas 上逐像素重投影：
+ * 每個畫面像素以 projection.invert 反算經緯度，換算成 Web Mercator 的圖磚與圖磚內像素後取色。
+ * 尚未載入的圖磚先以已載入的上層（較低縮放等級）圖磚放大替代，載入完成後再重新繪製。
+ *
+ * 📋 圖磚來源（defineStore.basemaps 的項目）：
+ * - url：圖磚網址模板，支援 {s}、{z}、{x}、{y}、{-y}（TMS 列號）與 {r}（高解析度後綴）；
+ *   不以協定或 / 開頭的網址視為相對於網站根目錄（例如自行放在 public/ 下的圖磚）
+ * - subdomains：{s} 依序替換的子網域，預設 'abc'
+ * - minZoom / maxZoom：可用的縮放等級，預設 0 / 18
+ * - tms：列號由南往北（MBTiles 的 TMS 配置）
+ *
+ * 本機資料夾（{z}/{x}/{y}.png 結構，例如 mb-util 從 MBTiles 匯出的資料夾）以 readTileFolder 讀取，
+ * 資料夾中的 metadata.json 可提供 minzoom、maxzoom、scheme 與 attribution。
+ *
+ * 📁 相關文件：
+ * - ../stores/defineStore.js - 底圖選項與目前選擇的底圖
+ * - ../tabs/MapTab.vue - 底圖 canvas 與圖磚載入狀態
+ */
+
+import * as d3 from 'd3';
+
+/** 📐 圖磚的基準邊長（px），高解析度圖磚（@2x）取色時會換算 */
+export const TILE_SIZE = 256;
+
+/** 🌐 Web Mercator 可表示的最大緯度 */
+export const MAX_MERCATOR_LATITUDE = 85.0511287798;
+
+/** 📦 一次畫面最多使用的圖磚數量，超過時降低縮放等級 */
+const MAX_TILES_PER_VIEW = 96;
+
+/** 🗂️ 快取的圖磚數量上限（每張 256×256 約 256 KB） */
+const MAX_CACHED_TILES = 192;
+
+/** 🔁 同時下載的圖磚數量 */
+const MAX_CONCURRENT_REQUESTS = 6;
+
+const TILE_FILE_PATTERN = /(?:^|\/)(\d+)\/(\d+)\/(\d+)\.(png|jpe?g|webp)$/i;
+
+const tileKey = (z, x, y) => `${z}/${x}/${y}`;
+
+let scratchCanvas = null;
+
+/**
+ * 將相對網址模板解析為網站根目錄下的網址
+ *
+ * @param {string} url - 圖磚網址模板
+ * @param {string} [baseUrl='/'] - 網站根目錄（process.env.BASE_URL）
+ * @returns {string} 網址模板
+ */
+export function resolveTileTemplate(url, baseUrl = '/') {
+  return /^([a-z][a-z\d+.-]*:|\/)/i.test(url) ? url : `${baseUrl}${url}`;
+}
+
+/**
+ * 依圖磚座標產生圖磚網址
+ *
+ * @param {Object} source - 圖磚來源 { url, subdomains, tms }
+ * @param {number} z - 縮放等級
+ * @param {number} x - 行號
+ * @param {number} y - 列號（XYZ，由北往南）
+ * @returns {string} 圖磚網址
+ */
+export function getTileUrl(source, z, x, y) {
+  const subdomains = source.subdomains || 'abc';
+  const flippedY = 2 ** z - 1 - y;
+  const values = {
+    s: subdomains[(x + y) % subdomains.length],
+    z,
+    x,
+    y: source.tms ? flippedY : y,
+    '-y': flippedY,
+    r: '',
+  };
+
+  return source.url.replace(/\{(s|z|x|y|-y|r)\}/g, (match, name) => values[name]);
+}
+
+/**
+ * 經緯度轉為 Web Mercator 的全域像素座標
+ *
+ * @param {number} longitude - 經度
+ * @param {number} latitude - 緯度（需在 ±MAX_MERCATOR_LATITUDE 內）
+ * @param {number} z - 縮放等級
+ * @returns {Array<number>} [x, y]，範圍 0 到 TILE_SIZE × 2^z
+ */
+export function lonLatToPixel(longitude, latitude, z) {
+  const size = TILE_SIZE * 2 ** z;
+  const sinPhi = Math.sin((latitude * Math.PI) / 180);
+  return [
+    ((longitude + 180) / 360) * size,
+    (0.5 - Math.log((1 + sinPhi) / (1 - sinPhi)) / (4 * Math.PI)) * size,
+  ];
+}
+
+/**
+ * 依畫面比例選擇圖磚縮放等級，讓一個圖磚像素約等於一個畫面像素
+ *
+ * @param {number} pixelsPerRadian - 畫面在中心附近每弧度的像素數（d3 投影的 scale）
+ * @param {number} latitude - 畫面中心緯度（Mercator 在高緯度放大）
+ * @param {Object} [source] - 圖磚來源 { minZoom, maxZoom }
+ * @returns {number} 縮放等級
+ */
+export function chooseTileZoom(pixelsPerRadian, latitude, { minZoom = 0, maxZoom = 18 } = {}) {
+  const cosPhi = Math.max(Math.cos((latitude * Math.PI) / 180), 0.05);
+  const zoom = Math.ceil(Math.log2((pixelsPerRadian * 2 * Math.PI * cosPhi) / TILE_SIZE));
+  return Math.max(minZoom, Math.min(maxZoom, Number.isFinite(zoom) ? zoom : minZoom));
+}
+
+/**
+ * 讀取本機圖磚資料夾（<input type="file" webkitdirectory> 選取的檔案）
+ *
+ * @param {FileList|Array<File>} fileList - 資料夾內的檔案
+ * @returns {Promise<Object>} 圖磚來源 { label, files, minZoom, maxZoom, tms, attribution }
+ * @throws {Error} 當資料夾中沒有圖磚時拋出錯誤
+ */
+export async function readTileFolder(fileList) {
+  const files = new Map();
+  const zooms = [];
+  let metadata = {};
+
+  for (const file of Array.from(fileList)) {
+    const path = file.webkitRelativePath || file.name;
+
+    if (/(?:^|\/)metadata\.json$/i.test(path)) {
+      try {
+        metadata = JSON.parse(await file.text());
+      } catch (error) {
+        throw new Error(`metadata.json 不是有效的 JSON：${error.message}`);
+      }
+      continue;
+    }
+
+    const match = path.match(TILE_FILE_PATTERN);
+    if (!match) continue;
+    const [, z, x, y] = match.map(Number);
+    files.set(tileKey(z, x, y), file);
+    zooms.push(z);
+  }
+
+  if (!files.size) {
+    throw new Error('資料夾中沒有 {z}/{x}/{y}.png 結構的圖磚');
+  }
+
+  const folderName = (fileList[0]?.webkitRelativePath || '').split('/')[0];
+  return {
+    label: metadata.name || folderName || '本機資料夾',
+    files,
+    minZoom: Number.isInteger(Number(metadata.minzoom)) ? Number(metadata.minzoom) : d3.min(zooms),
+    maxZoom: Number.isInteger(Number(metadata.maxzoom)) ? Number(metadata.maxzoom) : d3.max(zooms),
+    tms: metadata.scheme === 'tms',
+    attribution: metadata.attribution || '',
+  };
+}
+
+/**
+ * 圖片轉為像素資料
+ *
+ * @param {ImageBitmap} bitmap - 圖磚圖片
+ * @returns {Object} { data, size }
+ */
+function readPixels(bitmap) {
+  scratchCanvas = scratchCanvas || document.createElement('canvas');
+  const canvas = scratchCanvas;
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(bitmap, 0, 0);
+  bitmap.close?.();
+  return { data: context.getImageData(0, 0, canvas.width, canvas.height).data, size: canvas.width };
+}
+
+/**
+ * 建立圖磚載入器：下載（或從本機資料夾讀取）、解碼並快取圖磚
+ * 下載失敗的圖磚不會重試，繪製時以上層圖磚替代
+ *
+ * @param {Object} source - 圖磚來源（url 或 files 擇一）
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl='/'] - 網站根目錄，用於解析相對網址
+ * @param {Function} [options.onChange] - 圖磚載入或失敗時呼叫，參數為 stats
+ * @returns {Object} { peek, request, stats, dispose }
+ */
+export function createTileLoader(source, { baseUrl = '/', onChange = () => {} } = {}) {
+  const template = source.url ? { ...source, url: resolveTileTemplate(source.url, baseUrl) } : null;
+  const tiles = new Map();
+  const controller = new AbortController();
+  let queue = [];
+  let active = 0;
+  let failed = 0;
+  let lastError = '';
+
+  const stats = () => ({
+    loaded: [...tiles.values()].filter((tile) => tile.pixels).length,
+    loading: active + queue.length,
+    failed,
+    lastError,
+  });
+
+  const fetchTile = async (z, x, y) => {
+    if (source.files) {
+      const file = source.files.get(tileKey(z, x, source.tms ? 2 ** z - 1 - y : y));
+      if (!file) throw new Error(`本機資料夾缺少圖磚 ${tileKey(z, x, y)}`);
+      return createImageBitmap(file);
+    }
+
+    const url = getTileUrl(template, z, x, y);
+    const response = await fetch(url, { mode: 'cors', signal: controller.signal });
+    if (!response.ok) {
+      throw new Error(`圖磚 ${tileKey(z, x, y)} 下載失敗（HTTP ${response.status}）`);
+    }
+    return createImageBitmap(await response.blob());
+  };
+
+  const pump = () => {
+    while (active < MAX_CONCURRENT_REQUESTS && queue.length) {
+      const key = queue.shift();
+      const tile = tiles.get(key);
+      if (!tile || tile.pixels || tile.status !== 'queued') continue;
+
+      tile.status = 'loading';
+      active++;
+      const [z, x, y] = key.split('/').map(Number);
+
+      fetchTile(z, x, y)
+        .then((bitmap) => {
+          tile.pixels = readPixels(bitmap);
+          tile.status = 'loaded';
+        })
+        .catch((error) => {
+          if (controller.signal.aborted) return;
+          tile.status = 'failed';
+          failed++;
+          lastError = error.name === 'TypeError' ? '無法連線到圖磚伺服器' : error.message;
+          console.warn('[RasterTiles] 圖磚載入失敗:', key, error.message);
+        })
+        .finally(() => {
+          active--;
+          if (controller.signal.aborted) return;
+          evict();
+          onChange(stats());
+          pump();
+        });
+    }
+  };
+
+  // 超過快取上限時移除最久未使用的圖磚（Map 依插入順序，使用時重新插入）
+  const evict = () => {
+    for (const [key, tile] of tiles) {
+      if (tiles.size <= MAX_CACHED_TILES) break;
+      if (tile.status !== 'loading') tiles.delete(key);
+    }
+  };
+
+  return {
+    /**
+     * 取得已載入圖磚的像素資料
+     *
+     * @returns {Object|null} { data, size }，尚未載入或失敗時為 null
+     */
+    peek(z, x, y) {
+      const key = tileKey(z, x, y);
+      const tile = tiles.get(key);
+      if (!tile?.pixels) return null;
+      tiles.delete(key);
+      tiles.set(key, tile);
+      return tile.pixels;
+    },
+
+    /**
+     * 要求載入圖磚；取代尚未開始下載的舊要求，讓目前畫面的圖磚優先
+     *
+     * @param {Array<string>} keys - 'z/x/y'
+     */
+    request(keys) {
+      queue.forEach((key) => {
+        if (tiles.get(key)?.status === 'queued') tiles.delete(key);
+      });
+      queue = keys.filter((key) => !tiles.has(key));
+      if (source.files) {
+        // 本機資料夾只涵蓋部分範圍，不存在的圖磚直接以上層圖磚替代
+        queue.forEach((key) => {
+          const [z, x, y] = key.split('/').map(Number);
+          if (!source.files.has(tileKey(z, x, source.tms ? 2 ** z - 1 - y : y))) {
+            tiles.set(key, { status: 'missing', pixels: null });
+          }
+        });
+        queue = queue.filter((key) => !tiles.has(key));
+      }
+      queue.forEach((key) => tiles.set(key, { status: 'queued', pixels: null }));
+      pump();
+    },
+
+    stats,
+
+    /** 停止所有下載並清除快取 */
+    dispose() {
+      controller.abort();
+      queue = [];
+      tiles.clear();
+    },
+  };
+}
+
+/**
+ * 在 canvas 上繪製重投影的圖磚底圖
+ *
+ * @param {CanvasRenderingContext2D} context - 底圖 canvas（尺寸為畫面 × resolution）
+ * @param {Function} projection - d3 投影（畫面座標）
+ * @param {Object} options
+ * @param {Object} options.loader - createTileLoader 建立的載入器
+ * @param {Object} options.source - 圖磚來源 { minZoom, maxZoom }
+ * @param {number} options.resolution - canvas 像素與畫面像素的比例（互動時降低以維持流暢）
+ * @param {string} [options.background] - 地球範圍內沒有圖磚時的底色
+ * @returns {Object} { zoom, missing }：使用的縮放等級與缺少的圖磚數量
+ */
+export function renderRasterTiles(context, projection, options) {
+  const { loader, source, resolution, background = '#000000' } = options;
+  const { width, height } = context.canvas;
+  const minZoom = source.minZoom ?? 0;
+
+  context.setTransform(1, 0, 0, 1, 0, 0);
+  context.clearRect(0, 0, width, height);
+  // 切換投影的過渡動畫使用的內插投影沒有反投影
+  if (!projection.invert) return { zoom: null, missing: 0 };
+
+  // 🌐 地球範圍遮罩：只有在投影範圍內的像素需要反投影
+  context.setTransform(resolution, 0, 0, resolution, 0, 0);
+  context.beginPath();
+  d3.geoPath(projection, context)({ type: 'Sphere' });
+  context.fillStyle = background;
+  context.fill();
+  context.setTransform(1, 0, 0, 1, 0, 0);
+
+  const image = context.getImageData(0, 0, width, height);
+  const pixels = image.data;
+
+  const invert = (i, j) => {
+    const coordinates = projection.invert([(i + 0.5) / resolution, (j + 0.5) / resolution]);
+    if (!coordinates || !Number.isFinite(coordinates[0]) || !Number.isFinite(coordinates[1])) {
+      return null;
+    }
+    return Math.abs(coordinates[1]) > MAX_MERCATOR_LATITUDE ? null : coordinates;
+  };
+
+  // 🔍 選擇縮放等級：以稀疏取樣估計需要的圖磚數量，過多時降低等級
+  let zoom = chooseTileZoom(projection.scale() * resolution, -projection.rotate()[1], source);
+  for (; zoom > minZoom; zoom--) {
+    const sampled = new Set();
+    for (let j = 0; j < height; j += 8) {
+      for (let i = 0; i < width; i += 8) {
+        if (!pixels[(j * width + i) * 4 + 3]) continue;
+        const coordinates = invert(i, j);
+        if (!coordinates) continue;
+        const [x, y] = lonLatToPixel(coordinates[0], coordinates[1], zoom);
+        sampled.add(tileKey(zoom, Math.floor(x / TILE_SIZE), Math.floor(y / TILE_SIZE)));
+      }
+    }
+    if (sampled.size <= MAX_TILES_PER_VIEW) break;
+  }
+
+  const tileCount = 2 ** zoom;
+  const missing = new Set();
+
+  // 同一次繪製中每個圖磚只查詢一次載入器（以數字作為鍵，避免逐像素產生字串）
+  const lookup = new Map();
+  const getTile = (level, x, y) => {
+    const key = (level * 2 ** 20 + x) * 2 ** 20 + y;
+    if (!lookup.has(key)) lookup.set(key, loader.peek(level, x, y));
+    return lookup.get(key);
+  };
+
+  for (let j = 0; j < height; j++) {
+    for (let i = 0; i < width; i++) {
+      const offset = (j * width + i) * 4;
+      if (!pixels[offset + 3]) continue;
+
+      const coordinates = invert(i, j);
+      if (!coordinates) continue;
+
+      const [gx, gy] = lonLatToPixel(coordinates[0], coordinates[1], zoom);
+      const tx = Math.min(Math.floor(gx / TILE_SIZE), tileCount - 1);
+      const ty = Math.min(Math.max(Math.floor(gy / TILE_SIZE), 0), tileCount - 1);
+
+      // 由目標縮放等級往上層尋找已載入的圖磚
+      for (let level = zoom; level >= minZoom; level--) {
+        const shift = zoom - level;
+        const tile = getTile(level, tx >> shift, ty >> shift);
+        if (!tile) {
+          if (level === zoom) missing.add(tx * tileCount + ty);
+          continue;
+        }
+
+        // 圖磚內的相對位置（0–1）換算為圖磚像素
+        const tileSize = TILE_SIZE * 2 ** shift;
+        const u = Math.min(((gx / tileSize - (tx >> shift)) * tile.size) | 0, tile.size - 1);
+        const v = Math.min(((gy / tileSize - (ty >> shift)) * tile.size) | 0, tile.size - 1);
+        const index = (v * tile.size + u) * 4;
+        pixels[offset] = tile.data[index];
+        pixels[offset + 1] = tile.data[index + 1];
+        pixels[offset + 2] = tile.data[index + 2];
+        pixels[offset + 3] = 255;
+        break;
+      }
+    }
+  }
+
+  context.putImageData(image, 0, 0);
+
+  if (missing.size) {
+    loader.request(
+      [...missing].map((key) => tileKey(zoom, Math.floor(key / tileCount), key % tileCount))
+    );
+  }
+  return { zoom, missing: missing.size };
+}
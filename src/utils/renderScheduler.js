@@ -0,0 +1,184 @@
+/**
+ * 🎞️ 繪製排程模組 (Render Scheduler Module)
+ *
+ * 地圖的各圖層（國家、經緯網、圓圈、城市、使用者圖層……）在平移、縮放、動畫與資料變動時都需要重繪。
+ * 直接在事件中重繪會讓同一個畫格重複計算好幾次，因此改為：
+ * 1. 🏷️ 事件只把圖層標記為需要重繪（invalidate）
+ * 2. 🎞️ 下一個 requestAnimationFrame 依固定順序重繪被標記的圖層，每個圖層每個畫格最多一次
+ * 3. ⏱️ 記錄每個畫格與每個圖層的耗時，供效能面板顯示
+ *
+ * createProjectionCache 則讓同一個投影狀態下的點座標只投影一次（城市標記、名稱與光環共用）。
+ *
+ * 📁 相關文件：
+ * - ../tabs/MapTab.vue - 所有圖層的繪製函式與效能面板
+ */
+
+/** ⏱️ 計算 FPS 的時間窗（毫秒） */
+const FPS_WINDOW_MS = 1000;
+
+/** 📉 圖層耗時的平滑係數（指數移動平均） */
+const TIMING_SMOOTHING = 0.2;
+
+/**
+ * 建立繪製排程器
+ *
+ * @param {Array<Object>} layers - 依繪製順序排列的圖層 [{ id, draw }]
+ * @param {Object} [options]
+ * @param {Function} [options.beforeFrame] - 每個畫格重繪前呼叫（例如同步投影快取）
+ * @param {Function} [options.onFrame] - 每個畫格重繪後呼叫，參數為 stats()
+ * @returns {Object} { invalidate, flush, stats, dispose }
+ *
+ * @example
+ * const scheduler = createRenderScheduler([
+ *   { id: 'countries', draw: drawCountries },
+ *   { id: 'cities', draw: drawCityMarkers },
+ * ]);
+ * scheduler.invalidate('cities'); // 下一個畫格只重繪城市
+ * scheduler.invalidate(); // 下一個畫格重繪所有圖層
+ */
+export function createRenderScheduler(layers, { beforeFrame = () => {}, onFrame = () => {} } = {}) {
+  const ids = new Set(layers.map((layer) => layer.id));
+  const dirty = new Set();
+  const timings = new Map();
+  const frameTimes = [];
+  let frame = null;
+  let requests = 0;
+  let lastFrameMs = 0;
+
+  const run = () => {
+    frame = null;
+    if (!dirty.size) return;
+
+    const start = performance.now();
+    beforeFrame();
+
+    // 繪製中再次標記的圖層留到下一個畫格
+    const current = new Set(dirty);
+    dirty.clear();
+
+    layers.forEach(({ id, draw }) => {
+      if (!current.has(id)) return;
+
+      const layerStart = performance.now();
+      try {
+        draw();
+      } catch (error) {
+        console.error(`[RenderScheduler] 圖層 ${id} 繪製失敗:`, error);
+      }
+      const elapsed = performance.now() - layerStart;
+      const previous = timings.get(id);
+      timings.set(
+        id,
+        previous === undefined ? elapsed : previous + (elapsed - previous) * TIMING_SMOOTHING
+      );
+    });
+
+    const end = performance.now();
+    lastFrameMs = end - start;
+    frameTimes.push(end);
+    while (frameTimes.length && end - frameTimes[0] > FPS_WINDOW_MS) frameTimes.shift();
+
+    onFrame(stats());
+  };
+
+  /**
+   * 目前的效能數據
+   *
+   * @returns {Object} { fps, frameMs, requests, layers: [{ id, ms }] }
+   *   fps 為最近一秒實際重繪的畫格數，requests 為累計的重繪要求次數（合併前）
+   */
+  const stats = () => ({
+    fps: frameTimes.length,
+    frameMs: lastFrameMs,
+    requests,
+    layers: layers
+      .filter(({ id }) => timings.has(id))
+      .map(({ id }) => ({ id, ms: timings.get(id) })),
+  });
+
+  return {
+    /**
+     * 標記圖層需要重繪，並安排在下一個畫格重繪
+     *
+     * @param {...string} layerIds - 圖層 id，省略時標記所有圖層
+     */
+    invalidate(...layerIds) {
+      (layerIds.length ? layerIds : [...ids]).forEach((id) => {
+        if (!ids.has(id)) {
+          console.warn('[RenderScheduler] 未知的圖層:', id);
+          return;
+        }
+        dirty.add(id);
+      });
+      requests++;
+
+      if (!frame && dirty.size) {
+        frame = requestAnimationFrame(run);
+      }
+    },
+
+    /** 立即重繪所有已標記的圖層（例如匯出前確保畫面是最新的） */
+    flush() {
+      if (frame) cancelAnimationFrame(frame);
+      run();
+    },
+
+    stats,
+
+    /** 取消尚未執行的重繪 */
+    dispose() {
+      if (frame) cancelAnimationFrame(frame);
+      frame = null;
+      dirty.clear();
+    },
+  };
+}
+
+/**
+ * 投影狀態的識別字串：投影種類、旋轉、縮放比例與位移相同時，點的投影結果相同
+ *
+ * @param {string} id - 投影 id
+ * @param {Function} projection - d3 投影
+ * @returns {string} 識別字串
+ */
+export function getProjectionStateKey(id, projection) {
+  return [id, ...projection.rotate(), projection.scale(), ...projection.translate()].join('|');
+}
+
+/**
+ * 建立點座標的投影快取
+ * 以座標陣列本身為鍵（WeakMap），投影狀態改變時整個快取失效
+ *
+ * @param {Function} projectPoint - (coordinates) => [x, y] 或 null（不可見時）
+ * @returns {Object} { sync, project }
+ */
+export function createProjectionCache(projectPoint) {
+  let stateKey = null;
+  let points = new WeakMap();
+
+  return {
+    /**
+     * 投影狀態改變時清空快取
+     *
+     * @param {string} key - getProjectionStateKey 的結果
+     */
+    sync(key) {
+      if (key === stateKey) return;
+      stateKey = key;
+      points = new WeakMap();
+    },
+
+    /**
+     * 取得投影後的螢幕座標
+     *
+     * @param {Array<number>} coordinates - [經度, 緯度]（同一個陣列物件才會命中快取）
+     * @returns {Array<number>|null} [x, y]，不可見時為 null
+     */
+    project(coordinates) {
+      if (!points.has(coordinates)) {
+        points.set(coordinates, projectPoint(coordinates));
+      }
+      return points.get(coordinates);
+    },
+  };
+}
@@ -0,0 +1,209 @@
+/**
+ * 🧭 座標參考系統模組 (Coordinate Reference System Module)
+ *
+ * 匯入的資料不一定是 WGS84 經緯度：台灣的資料多為 TWD97 / TM2（EPSG:3826），
+ * 網路圖資常用 Web Mercator（EPSG:3857），也有 UTM 公尺座標。
+ * 本模組以 proj4 把這些座標轉換為 WGS84 經緯度，再交給方位等距投影繪製。
+ *
+ * 📋 座標參考系統的寫法：
+ * - EPSG 代碼：'EPSG:3826'、'EPSG:32651'（UTM 51N）、'EPSG:32750'（UTM 50S）
+ * - OGC URN（GeoJSON crs 成員）：'urn:ogc:def:crs:OGC:1.3:CRS84'、'urn:ogc:def:crs:EPSG::3826'
+ * - proj4 字串或 WKT：'+proj=tmerc +lon_0=121 ...'
+ *
+ * 📁 相關文件：
+ * - ./layerImport.js - 匯入圖層時讀取 crs 並轉換座標
+ * - ../tabs/MapTab.vue - 座標參考系統選單，並記錄每個圖層使用的系統
+ */
+
+import proj4 from 'proj4';
+import { isValidCoordinate } from './utils.js';
+
+/** 🌐 WGS84 經緯度（所有資料最後都轉換成這個系統） */
+export const WGS84 = 'EPSG:4326';
+
+/** 📚 內建的座標參考系統定義（proj4 內建 EPSG:4326 與 EPSG:3857） */
+const CRS_DEFINITIONS = {
+  CRS84: '+proj=longlat +datum=WGS84 +no_defs',
+  'EPSG:3826':
+    '+proj=tmerc +lat_0=0 +lon_0=121 +k=0.9999 +x_0=250000 +y_0=0 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs',
+  'EPSG:3825':
+    '+proj=tmerc +lat_0=0 +lon_0=119 +k=0.9999 +x_0=250000 +y_0=0 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs',
+};
+
+Object.entries(CRS_DEFINITIONS).forEach(([code, definition]) => proj4.defs(code, definition));
+
+/** 🗂️ 匯入時可選擇的座標參考系統 */
+export const CRS_OPTIONS = [
+  { code: WGS84, label: 'WGS84 經緯度（EPSG:4326）' },
+  { code: 'EPSG:3826', label: 'TWD97 / TM2 台灣（EPSG:3826）' },
+  { code: 'EPSG:3825', label: 'TWD97 / TM2 澎金馬（EPSG:3825）' },
+  { code: 'EPSG:3857', label: 'Web Mercator（EPSG:3857）' },
+  { code: 'EPSG:32650', label: 'UTM 50N（EPSG:32650）' },
+  { code: 'EPSG:32651', label: 'UTM 51N（EPSG:32651）' },
+];
+
+/**
+ * 將各種寫法的座標參考系統整理為 proj4 可用的代碼或定義
+ *
+ * @param {string} name - EPSG 代碼、OGC URN、proj4 字串或 WKT
+ * @returns {Object} { code（顯示用名稱）, definition（proj4 代碼或定義）, isGeographic }
+ * @throws {Error} 當座標參考系統未知或定義無效時拋出錯誤
+ *
+ * @example
+ * resolveCrs('urn:ogc:def:crs:EPSG::3826'); // { code: 'EPSG:3826', ... }
+ * resolveCrs('EPSG:32651'); // UTM 51N，依代碼自動產生定義
+ */
+export function resolveCrs(name) {
+  const text = String(name ?? '').trim();
+  if (!text) {
+    throw new Error('未指定座標參考系統');
+  }
+
+  // 自訂的 proj4 字串或 WKT
+  if (text.startsWith('+') || /^[A-Z_]+CRS\s*\[|^(PROJCS|GEOGCS)\s*\[/i.test(text)) {
+    let projection;
+    try {
+      projection = new proj4.Proj(text);
+    } catch (error) {
+      throw new Error(`座標參考系統定義無效：${error.message || error}`);
+    }
+    if (!projection?.projName) {
+      throw new Error(`座標參考系統定義無效："${text}"`);
+    }
+    return {
+      code: text.length > 40 ? `${text.slice(0, 40)}…` : text,
+      definition: text,
+      isGeographic: projection.projName === 'longlat',
+    };
+  }
+
+  let code = text.toUpperCase();
+  if (/CRS84$/.test(code)) {
+    code = 'CRS84';
+  } else {
+    // urn:ogc:def:crs:EPSG::3826、urn:ogc:def:crs:EPSG:6.6:3826、EPSG:3826、3826
+    const match = code.match(/EPSG:{1,2}(?:[\d.]+:)?(\d+)$/) || code.match(/^(\d+)$/);
+    if (!match) {
+      throw new Error(`無法辨識的座標參考系統 "${text}"（請使用 EPSG 代碼或 proj4 字串）`);
+    }
+    code = `EPSG:${match[1]}`;
+  }
+
+  // UTM：EPSG:326xx（北半球）與 EPSG:327xx（南半球）
+  const utm = code.match(/^EPSG:32([67])(\d{2})$/);
+  if (utm && !proj4.defs(code)) {
+    const zone = Number(utm[2]);
+    if (zone < 1 || zone > 60) {
+      throw new Error(`UTM 分區必須介於 1 到 60（${code}）`);
+    }
+    proj4.defs(
+      code,
+      `+proj=utm +zone=${zone}${utm[1] === '7' ? ' +south' : ''} +datum=WGS84 +units=m +no_defs`
+    );
+  }
+
+  if (!proj4.defs(code)) {
+    throw new Error(
+      `不支援的座標參考系統 "${code}"（內建：${CRS_OPTIONS.map((option) => option.code).join('、')}，或輸入 proj4 字串）`
+    );
+  }
+
+  return { code, definition: code, isGeographic: proj4.defs(code).projName === 'longlat' };
+}
+
+/**
+ * 讀取 GeoJSON 的 crs 成員（舊版 GeoJSON 2008 規格）
+ *
+ * @param {Object} data - GeoJSON 物件
+ * @returns {string|null} 座標參考系統名稱，未宣告時為 null
+ */
+export function readGeoJsonCrs(data) {
+  const crs = data?.crs;
+  if (!crs?.properties) return null;
+
+  if (crs.type === 'name') return crs.properties.name || null;
+  if (crs.type === 'EPSG' && crs.properties.code) return `EPSG:${crs.properties.code}`;
+  return null;
+}
+
+/**
+ * 對幾何中的每一組座標套用轉換
+ *
+ * @param {Object} geometry - GeoJSON 幾何
+ * @param {Function} transform - [x, y] => [經度, 緯度]
+ * @returns {Object} 新的幾何
+ */
+function mapGeometry(geometry, transform) {
+  if (geometry.type === 'GeometryCollection') {
+    return { ...geometry, geometries: geometry.geometries.map((g) => mapGeometry(g, transform)) };
+  }
+
+  const mapCoordinates = (coordinates) =>
+    typeof coordinates[0] === 'number' ? transform(coordinates) : coordinates.map(mapCoordinates);
+
+  return { ...geometry, coordinates: mapCoordinates(geometry.coordinates) };
+}
+
+/**
+ * 檢查幾何中的所有座標是否都是有效的經緯度
+ *
+ * @param {Object} geometry - GeoJSON 幾何
+ * @returns {boolean} 是否有效
+ */
+function isValidGeometry(geometry) {
+  if (geometry.type === 'GeometryCollection') {
+    return geometry.geometries.every(isValidGeometry);
+  }
+
+  const check = (coordinates) =>
+    typeof coordinates[0] === 'number'
+      ? isValidCoordinate(coordinates[1], coordinates[0])
+      : coordinates.length > 0 && coordinates.every(check);
+
+  return Array.isArray(geometry.coordinates) && check(geometry.coordinates);
+}
+
+/**
+ * 將 FeatureCollection 由指定的座標參考系統轉換為 WGS84 經緯度
+ * 轉換後座標無效的圖徵會被略過
+ *
+ * @param {Object} featureCollection - GeoJSON FeatureCollection
+ * @param {string} [crsName=WGS84] - 來源座標參考系統
+ * @returns {Object} { data（轉換後的 FeatureCollection）, crs（代碼）, skipped（略過的圖徵數） }
+ * @throws {Error} 當座標參考系統無效，或所有圖徵轉換後都不是有效經緯度時拋出錯誤
+ *
+ * @example
+ * const { data, crs } = reprojectFeatureCollection(geojson, 'EPSG:3826');
+ */
+export function reprojectFeatureCollection(featureCollection, crsName = WGS84) {
+  const crs = resolveCrs(crsName);
+  // 只有 WGS84 / CRS84 可以直接使用；其他大地基準的經緯度（例如 TWD67）仍須經 proj4 做基準轉換
+  const isWgs84 = crs.code === WGS84 || crs.code === 'CRS84';
+  const converter = isWgs84 ? null : proj4(crs.definition, WGS84);
+
+  const transform = converter ? (coordinates) => converter.forward(coordinates.slice(0, 2)) : null;
+
+  const features = featureCollection.features
+    .map((feature) =>
+      transform ? { ...feature, geometry: mapGeometry(feature.geometry, transform) } : feature
+    )
+    .filter((feature) => isValidGeometry(feature.geometry));
+
+  if (!features.length) {
+    throw new Error(
+      crs.isGeographic
+        ? `座標超出經緯度範圍，資料可能是投影座標（例如 TWD97 或 Web Mercator），請選擇正確的座標參考系統`
+        : `以 ${crs.code} 轉換後沒有有效的經緯度，請確認座標參考系統是否正確`
+    );
+  }
+
+  // 轉換後座標已是 WGS84，不再保留原本的 crs 成員
+  const data = { ...featureCollection, features };
+  delete data.crs;
+
+  return {
+    data,
+    crs: crs.code,
+    skipped: featureCollection.features.length - features.length,
+  };
+}
@@ -0,0 +1,168 @@
+/**
+ * 🧭 圓圈交會模組 (Ring Intersection Module)
+ *
+ * 計算以目前中心為圓心、指定地表半徑的圓圈會經過哪些國家，以及哪些城市最靠近圓圈，
+ * 回答「火星那一圈落在地球上的哪裡？」這類問題。
+ *
+ * 📋 判斷方式：
+ * 1. 🔺 逐一檢查國家邊界的每條邊，兩端點到中心的距離分別落在半徑兩側即視為交會
+ * 2. ✂️ 過長的邊先沿大圓細分，避免圓圈從兩個頂點之間擦過時被遺漏
+ * 3. 🏝️ 圓圈完全落在某國境內（沒有交會點）時，以圓上一點是否在國界內判斷
+ * 4. 🧭 交會的國家依第一個交會點的方位角排序，清單會沿著圓圈順時針閱讀
+ *
+ * 📁 相關文件：
+ * - ../tabs/MapTab.vue - 滑鼠移到或點擊圓圈時標示國家並列出清單
+ * - ./utils.js - calculateDistance、calculateBearing、destinationPoint
+ */
+
+import * as d3 from 'd3';
+import { calculateDistance, calculateBearing, destinationPoint } from './utils.js';
+
+/** ✂️ 邊長超過此角度（度）時沿大圓細分後再判斷 */
+const MAX_SEGMENT_DEGREES = 2;
+
+/**
+ * 取得國家圖徵的識別碼（與地圖上 path.country 的資料鍵一致）
+ *
+ * @param {Object} feature - GeoJSON 國家圖徵
+ * @returns {string} 識別碼
+ */
+export function getCountryKey(feature) {
+  return (
+    feature.id ||
+    feature.properties?.iso_a3 ||
+    feature.properties?.ADM0_A3 ||
+    feature.properties?.name ||
+    feature.properties?.NAME
+  );
+}
+
+/**
+ * 取得國家顯示名稱（優先使用繁體中文）
+ *
+ * @param {Object} feature - GeoJSON 國家圖徵
+ * @returns {string} 顯示名稱
+ */
+export function getCountryLabel(feature) {
+  const properties = feature.properties || {};
+  return properties.NAME_ZHT || properties.NAME_ZH || properties.NAME || properties.name || '';
+}
+
+/**
+ * 取出圖徵所有的線性環（Polygon / MultiPolygon）
+ *
+ * @param {Object} geometry - GeoJSON 幾何
+ * @returns {Array<Array<Array<number>>>} 線性環陣列
+ */
+function getLinearRings(geometry) {
+  if (!geometry) return [];
+  if (geometry.type === 'Polygon') return geometry.coordinates;
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates.flat();
+  return [];
+}
+
+/**
+ * 找出圓圈與一個國家邊界的第一個交會點
+ *
+ * @param {Object} feature - GeoJSON 國家圖徵
+ * @param {Array<number>} center - 圓心 [經度, 緯度]
+ * @param {number} radiusKm - 圓圈地表半徑（公里）
+ * @returns {Array<number>|null} 交會點 [經度, 緯度]，沒有交會時為 null
+ */
+function findCrossing(feature, center, radiusKm) {
+  const [centerLon, centerLat] = center;
+  const offset = ([lon, lat]) => calculateDistance(centerLat, centerLon, lat, lon) - radiusKm;
+
+  for (const ring of getLinearRings(feature.geometry)) {
+    for (let i = 1; i < ring.length; i++) {
+      const start = ring[i - 1];
+      const end = ring[i];
+      const steps = Math.max(
+        1,
+        Math.ceil((d3.geoDistance(start, end) * 180) / Math.PI / MAX_SEGMENT_DEGREES)
+      );
+      const interpolate = d3.geoInterpolate(start, end);
+
+      let previous = start;
+      let previousOffset = offset(start);
+      for (let step = 1; step <= steps; step++) {
+        const point = step === steps ? end : interpolate(step / steps);
+        const pointOffset = offset(point);
+
+        if (previousOffset === 0) return previous;
+        if (previousOffset * pointOffset < 0) {
+          // 以線性內插估計交會位置，供方位角排序使用
+          const t = previousOffset / (previousOffset - pointOffset);
+          return d3.geoInterpolate(previous, point)(t);
+        }
+
+        previous = point;
+        previousOffset = pointOffset;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 找出圓圈經過的國家
+ *
+ * @param {Array<Object>} features - GeoJSON 國家圖徵陣列
+ * @param {Array<number>} center - 圓心 [經度, 緯度]
+ * @param {number} radiusKm - 圓圈地表半徑（公里，0 到對蹠點之間）
+ * @returns {Array<Object>} 依方位角排序的 { key, label, bearing, feature }
+ *
+ * @example
+ * const countries = findRingCountries(worldData.features, [121.5654, 25.033], 2279);
+ * console.log(countries.map((country) => country.label).join('、'));
+ */
+export function findRingCountries(features, center, radiusKm) {
+  if (!Array.isArray(features) || !(radiusKm > 0)) return [];
+
+  const [centerLon, centerLat] = center;
+  const probe = destinationPoint(centerLat, centerLon, 0, radiusKm);
+
+  return features
+    .map((feature) => {
+      const crossing =
+        findCrossing(feature, center, radiusKm) || (d3.geoContains(feature, probe) ? probe : null);
+      if (!crossing) return null;
+
+      return {
+        key: getCountryKey(feature),
+        label: getCountryLabel(feature),
+        bearing: calculateBearing(centerLat, centerLon, crossing[1], crossing[0]),
+        feature,
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.bearing - b.bearing);
+}
+
+/**
+ * 找出最靠近圓圈的城市
+ *
+ * @param {Array<Object>} cities - 城市陣列，需含 coordinates [經度, 緯度]
+ * @param {Array<number>} center - 圓心 [經度, 緯度]
+ * @param {number} radiusKm - 圓圈地表半徑（公里）
+ * @param {number} [limit=5] - 回傳的城市數量
+ * @returns {Array<Object>} 城市資料加上 offsetKm（正值在圓外、負值在圓內）與 bearing
+ */
+export function findNearestCitiesToRing(cities, center, radiusKm, limit = 5) {
+  if (!Array.isArray(cities)) return [];
+
+  const [centerLon, centerLat] = center;
+
+  return cities
+    .map((city) => {
+      const [lon, lat] = city.coordinates;
+      return {
+        ...city,
+        offsetKm: calculateDistance(centerLat, centerLon, lat, lon) - radiusKm,
+        bearing: calculateBearing(centerLat, centerLon, lat, lon),
+      };
+    })
+    .sort((a, b) => Math.abs(a.offsetKm) - Math.abs(b.offsetKm))
+    .slice(0, limit);
+}
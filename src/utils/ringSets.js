@@ -0,0 +1,407 @@
+/**
+ * 🪐 圓圈組設定模組 (Ring Set Module)
+ *
+ * 負責載入、解析與驗證地圖上繪製的同心圓圈組（行星距離、行星半徑、矮行星、衛星軌道等）。
+ * 圓圈組以資料檔定義，放在 public/data/ring-sets/ 之下，並由 index.json 列出；
+ * 使用者也可以在瀏覽器中上傳 CSV / XLSX / JSON 表格新增比較組。
+ *
+ * 📋 圓圈組 JSON 格式：
+ * {
+ *   "id": "distance",              // 唯一識別碼（省略時使用檔名）
+ *   "label": "行星距離",            // 面板按鈕文字
+ *   "description": "行星與太陽的平均距離",
+ *   "unit": "百萬公里",             // 數值單位（顯示用）
+ *   "unitKm": 1000000,             // 1 個數值單位等於多少公里
+ *   "scale": { "unit": "AU", "earthKm": 149.6 }, // 預設比例尺：1 AU = 149.6 公里（地表）
+ *   "color": "#cccccc",            // 圓圈預設顏色
+ *   "maximumFractionDigits": 2,    // 數值顯示的小數位數
+ *   "rings": [{ "name": "水星", "value": 57.91, "eccentricity": 0.2056, "body": "mercury" }]
+ * }
+ *
+ * 📋 CSV / XLSX 表格格式（第一列為欄位名稱）：
+ * - 必要欄位：name、value
+ * - 選用欄位：color（單一圓圈顏色）、body（對應 orbits.js 的天體，用於放置行星位置）、
+ *   eccentricity 或 perihelion / aphelion（橢圓軌道的近日點與遠日點，與 value 同單位）
+ * - 選用設定欄位：label、description、unit、unit_km、scale_unit、scale_earth_km、
+ *   set_color、decimals（取第一個非空值作為整組設定）
+ *
+ * 📏 比例尺模型：
+ * 所有圓圈組都以「1 個參考單位（AU、百萬公里、地球半徑…）= N 公里地表距離」換算，
+ * 圓圈半徑 = 真實距離（公里）× N ÷ 參考單位長度（公里）。
+ * 地表距離超過對蹠點（π × 地球半徑）時，圓圈沿大圓繞回，以折返後的半徑繪製並標記。
+ *
+ * 📁 相關文件：
+ * - ../tabs/MapTab.vue - 繪製圓圈並提供上傳介面
+ * - ../../public/data/ring-sets/ - 內建圓圈組資料
+ */
+
+import { baseName, clamp, toNumber } from './utils.js';
+import { ORBIT_BODIES } from './orbits.js';
+
+/** 📁 內建圓圈組資料夾（相對於 BASE_URL） */
+export const RING_SETS_DIRECTORY = 'data/ring-sets/';
+
+/** 🌍 地球平均半徑（公里） */
+export const EARTH_RADIUS_KM = 6371;
+
+/** 🌍 地表上到對蹠點的大圓距離（公里），即方位等距投影的 180° 邊界 */
+export const ANTIPODE_DISTANCE_KM = Math.PI * EARTH_RADIUS_KM;
+
+/** 📏 比例尺可用的參考單位（km：1 單位等於多少公里） */
+export const SCALE_UNITS = {
+  AU: { label: 'AU', km: 149597870.7 },
+  Mkm: { label: '百萬公里', km: 1e6 },
+  kkm: { label: '千公里', km: 1e3 },
+  earthRadius: { label: '地球半徑', km: EARTH_RADIUS_KM },
+  km: { label: '公里', km: 1 },
+};
+
+/** 🎨 圓圈組預設值 */
+const RING_SET_DEFAULTS = {
+  description: '',
+  unit: 'km',
+  unitKm: 1,
+  scale: { unit: 'km', earthKm: 1 },
+  color: '#cccccc',
+  maximumFractionDigits: 2,
+};
+
+/**
+ * 驗證並正規化比例尺設定
+ *
+ * @param {Object} scale - 比例尺 { unit, earthKm }，unit 為 SCALE_UNITS 的鍵
+ * @returns {Object} 正規化的比例尺
+ * @throws {Error} 當單位不存在或地表距離不是正數時拋出錯誤
+ */
+export function normalizeScale(scale) {
+  const unit = String(scale?.unit || RING_SET_DEFAULTS.scale.unit);
+  if (!Object.hasOwn(SCALE_UNITS, unit)) {
+    throw new Error(`未知的比例尺單位 "${unit}"`);
+  }
+
+  const earthKm = toNumber(scale?.earthKm ?? RING_SET_DEFAULTS.scale.earthKm);
+  if (!Number.isFinite(earthKm) || earthKm <= 0) {
+    throw new Error('比例尺的地表距離必須是正數');
+  }
+
+  return { unit, earthKm };
+}
+
+/**
+ * 將真實距離依比例尺換算為地表距離，並處理超過對蹠點的折返
+ *
+ * 球面上距中心 d 的小圓與距中心 (2πR − d) 的小圓相同，
+ * 因此超過 180° 的距離會先對整圈取餘數，再折返到 0–180° 之間。
+ *
+ * @param {number} realKm - 真實距離（公里）
+ * @param {Object} scale - 比例尺 { unit, earthKm }
+ * @returns {Object} { earthKm, drawKm, wrapped, laps }
+ *   earthKm 為換算後的地表距離，drawKm 為實際繪製的半徑（0 至對蹠點），
+ *   wrapped 表示是否超過對蹠點，laps 為完整繞行地球的圈數
+ *
+ * @example
+ * projectRingDistance(35786, { unit: 'km', earthKm: 1 });
+ * // { earthKm: 35786, drawKm: ≈4244, wrapped: true, laps: 0 }
+ */
+export function projectRingDistance(realKm, scale) {
+  const earthKm = (realKm * scale.earthKm) / SCALE_UNITS[scale.unit].km;
+  const circumferenceKm = 2 * ANTIPODE_DISTANCE_KM;
+
+  if (earthKm <= ANTIPODE_DISTANCE_KM) {
+    return { earthKm, drawKm: earthKm, wrapped: false, laps: 0 };
+  }
+
+  const laps = Math.floor(earthKm / circumferenceKm);
+  const remainder = earthKm - laps * circumferenceKm;
+  const drawKm = remainder > ANTIPODE_DISTANCE_KM ? circumferenceKm - remainder : remainder;
+
+  return { earthKm, drawKm, wrapped: true, laps };
+}
+
+/**
+ * 將地表距離依比例尺換回參考單位
+ *
+ * @param {number} earthKm - 地表距離（公里）
+ * @param {Object} scale - 比例尺 { unit, earthKm }
+ * @returns {number} 以比例尺參考單位表示的距離
+ */
+export function earthKmToScaleUnits(earthKm, scale) {
+  return earthKm / scale.earthKm;
+}
+
+/**
+ * 產生比例尺文字，例如 "1 AU = 149.6 公里"
+ *
+ * @param {Object} scale - 比例尺 { unit, earthKm }
+ * @returns {string} 比例尺說明
+ */
+export function formatScaleRatio(scale) {
+  const formatter = new Intl.NumberFormat('en-US', { maximumSignificantDigits: 6 });
+  return `1 ${SCALE_UNITS[scale.unit].label} = ${formatter.format(scale.earthKm)} 公里`;
+}
+
+/**
+ * 解析橢圓軌道的近日點 / 遠日點距離
+ * 可直接提供 perihelion 與 aphelion，或由半長軸 value 與 eccentricity 推算：
+ * 近日點 q = a(1 − e)、遠日點 Q = a(1 + e)
+ *
+ * @param {Object} ring - 原始圓圈資料
+ * @param {number} value - 半長軸（平均距離）
+ * @param {string} context - 錯誤訊息中的位置描述
+ * @returns {Object} { eccentricity, perihelion, aphelion }，未提供時皆為 null
+ * @throws {Error} 當數值不合理時拋出錯誤
+ */
+function normalizeOrbitRange(ring, value, context) {
+  const perihelionInput = toNumber(ring?.perihelion);
+  const aphelionInput = toNumber(ring?.aphelion);
+
+  if (Number.isFinite(perihelionInput) && Number.isFinite(aphelionInput)) {
+    if (perihelionInput <= 0 || aphelionInput < perihelionInput) {
+      throw new Error(`${context} 的近日點 / 遠日點無效`);
+    }
+    return {
+      eccentricity: (aphelionInput - perihelionInput) / (aphelionInput + perihelionInput),
+      perihelion: perihelionInput,
+      aphelion: aphelionInput,
+    };
+  }
+
+  const eccentricity = toNumber(ring?.eccentricity);
+  if (!Number.isFinite(eccentricity)) {
+    return { eccentricity: null, perihelion: null, aphelion: null };
+  }
+
+  if (eccentricity < 0 || eccentricity >= 1) {
+    throw new Error(`${context} 的離心率必須介於 0 與 1 之間`);
+  }
+
+  return {
+    eccentricity,
+    perihelion: value * (1 - eccentricity),
+    aphelion: value * (1 + eccentricity),
+  };
+}
+
+/**
+ * 驗證並正規化圓圈組定義
+ *
+ * @param {Object} raw - 原始圓圈組設定（來自 JSON 或表格）
+ * @param {string} fallbackId - 未提供 id 時使用的識別碼
+ * @returns {Object} 正規化的圓圈組，含 Intl.NumberFormat 格式器
+ * @throws {Error} 當設定格式不正確或沒有有效圓圈時拋出錯誤
+ *
+ * @example
+ * const set = normalizeRingSet({ label: '矮行星', rings: [{ name: '冥王星', value: 5906 }] }, 'dwarf');
+ * set.formatter.format(set.rings[0].value); // '5,906'
+ */
+export function normalizeRingSet(raw, fallbackId) {
+  if (typeof raw !== 'object' || raw === null) {
+    throw new Error('圓圈組設定必須是一個對象');
+  }
+
+  const id = String(raw.id || fallbackId || '').trim();
+  if (!id) {
+    throw new Error('圓圈組缺少識別碼 (id)');
+  }
+
+  if (!Array.isArray(raw.rings) || raw.rings.length === 0) {
+    throw new Error(`圓圈組 "${id}" 沒有任何圓圈資料`);
+  }
+
+  const rings = raw.rings.map((ring, index) => {
+    const value = toNumber(ring?.value);
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new Error(`圓圈組 "${id}" 第 ${index + 1} 筆的數值無效: ${ring?.value}`);
+    }
+    const body = ring.body ? String(ring.body).trim().toLowerCase() : null;
+    if (body && !ORBIT_BODIES.includes(body)) {
+      throw new Error(`圓圈組 "${id}" 第 ${index + 1} 筆的天體 "${ring.body}" 無法計算軌道位置`);
+    }
+
+    return {
+      name: String(ring.name ?? '').trim() || `圓圈 ${index + 1}`,
+      value,
+      color: ring.color ? String(ring.color).trim() : null,
+      body,
+      ...normalizeOrbitRange(ring, value, `圓圈組 "${id}" 第 ${index + 1} 筆`),
+    };
+  });
+
+  const unitKm = toNumber(raw.unitKm ?? RING_SET_DEFAULTS.unitKm);
+  if (!Number.isFinite(unitKm) || unitKm <= 0) {
+    throw new Error(`圓圈組 "${id}" 的 unitKm 必須是正數`);
+  }
+
+  let scale;
+  try {
+    scale = normalizeScale(raw.scale ?? RING_SET_DEFAULTS.scale);
+  } catch (error) {
+    throw new Error(`圓圈組 "${id}" 的比例尺無效: ${error.message}`);
+  }
+
+  const digits = Math.round(toNumber(raw.maximumFractionDigits));
+  const maximumFractionDigits = Number.isFinite(digits)
+    ? clamp(digits, 0, 20)
+    : RING_SET_DEFAULTS.maximumFractionDigits;
+
+  return {
+    id,
+    label: String(raw.label || id),
+    description: String(raw.description ?? RING_SET_DEFAULTS.description),
+    unit: String(raw.unit || RING_SET_DEFAULTS.unit),
+    unitKm,
+    scale,
+    color: String(raw.color || RING_SET_DEFAULTS.color),
+    maximumFractionDigits,
+    formatter: new Intl.NumberFormat('en-US', { maximumFractionDigits }),
+    rings,
+  };
+}
+
+/**
+ * 將表格列（sheet_to_json 的結果）轉為圓圈組原始設定
+ *
+ * @param {Array<Object>} rows - 以欄位名稱為鍵的資料列
+ * @param {string} fileName - 來源檔名（作為預設 id 與名稱）
+ * @returns {Object} 圓圈組原始設定，尚未正規化
+ * @throws {Error} 當缺少必要欄位時拋出錯誤
+ */
+export function ringSetFromRows(rows, fileName) {
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw new Error(`檔案 "${fileName}" 沒有任何資料列`);
+  }
+
+  // 欄位名稱不分大小寫、忽略前後空白
+  const normalizedRows = rows.map((row) =>
+    Object.fromEntries(
+      Object.entries(row).map(([key, value]) => [String(key).trim().toLowerCase(), value])
+    )
+  );
+
+  if (!('name' in normalizedRows[0]) || !('value' in normalizedRows[0])) {
+    throw new Error(`檔案 "${fileName}" 必須包含 name 與 value 欄位`);
+  }
+
+  const firstValue = (column) => {
+    const row = normalizedRows.find((item) => item[column] !== undefined && item[column] !== '');
+    return row ? row[column] : undefined;
+  };
+
+  const name = baseName(fileName);
+
+  return {
+    id: name,
+    label: firstValue('label') || name,
+    description: firstValue('description'),
+    unit: firstValue('unit'),
+    unitKm: firstValue('unit_km'),
+    scale:
+      firstValue('scale_unit') !== undefined || firstValue('scale_earth_km') !== undefined
+        ? { unit: firstValue('scale_unit'), earthKm: firstValue('scale_earth_km') }
+        : undefined,
+    color: firstValue('set_color'),
+    maximumFractionDigits: firstValue('decimals'),
+    rings: normalizedRows
+      .filter((row) => row.name !== undefined && row.name !== '')
+      .map((row) => ({
+        name: row.name,
+        value: row.value,
+        color: row.color,
+        body: row.body,
+        eccentricity: row.eccentricity,
+        perihelion: row.perihelion,
+        aphelion: row.aphelion,
+      })),
+  };
+}
+
+/**
+ * 解析 CSV / XLSX 圓圈表格（僅讀取第一個工作表）
+ * xlsx 套件體積較大，只在需要時動態載入
+ *
+ * @param {ArrayBuffer|string} content - 檔案內容（XLSX 為 ArrayBuffer，CSV 可為字串）
+ * @param {string} fileName - 檔名
+ * @returns {Promise<Object>} 正規化的圓圈組
+ */
+export async function parseRingTable(content, fileName) {
+  const XLSX = await import('xlsx');
+  const workbook = XLSX.read(content, { type: typeof content === 'string' ? 'string' : 'array' });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+
+  if (!sheet) {
+    throw new Error(`檔案 "${fileName}" 沒有工作表`);
+  }
+
+  const rows = XLSX.utils.sheet_to_json(sheet, { defval: '' });
+  return normalizeRingSet(ringSetFromRows(rows, fileName), baseName(fileName));
+}
+
+/**
+ * 解析單一圓圈組檔案（依副檔名判斷 JSON 或表格）
+ *
+ * @param {ArrayBuffer} buffer - 檔案內容
+ * @param {string} fileName - 檔名
+ * @returns {Promise<Object>} 正規化的圓圈組
+ * @throws {Error} 當副檔名不支援或內容無效時拋出錯誤
+ */
+export async function parseRingSetFile(buffer, fileName) {
+  const extension = String(fileName).split('.').pop().toLowerCase();
+
+  if (extension === 'json') {
+    const text = new TextDecoder('utf-8').decode(buffer);
+    let raw;
+    try {
+      raw = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`檔案 "${fileName}" 不是有效的 JSON: ${error.message}`);
+    }
+    return normalizeRingSet(raw, baseName(fileName));
+  }
+
+  // CSV 先以 UTF-8 解碼，避免中文欄位被當成二進位字元
+  if (extension === 'csv') {
+    return parseRingTable(new TextDecoder('utf-8').decode(buffer), fileName);
+  }
+
+  if (['xlsx', 'xls'].includes(extension)) {
+    return parseRingTable(buffer, fileName);
+  }
+
+  throw new Error(`不支援的檔案格式: .${extension}（請使用 JSON、CSV 或 XLSX）`);
+}
+
+/**
+ * 載入 public/data/ring-sets/ 中由 index.json 列出的所有圓圈組
+ * 單一檔案失敗只會記錄錯誤並略過，不影響其他圓圈組
+ *
+ * @param {string} baseUrl - 應用程式的 BASE_URL
+ * @returns {Promise<Array<Object>>} 成功載入的圓圈組（依 index.json 順序）
+ */
+export async function loadRingSets(baseUrl) {
+  const directory = `${baseUrl}${RING_SETS_DIRECTORY}`;
+  const response = await fetch(`${directory}index.json`);
+
+  if (!response.ok) {
+    throw new Error(`HTTP 錯誤! 狀態: ${response.status}`);
+  }
+
+  const index = await response.json();
+  const files = Array.isArray(index.sets) ? index.sets : [];
+
+  const results = await Promise.all(
+    files.map(async (fileName) => {
+      try {
+        const fileResponse = await fetch(`${directory}${fileName}`);
+        if (!fileResponse.ok) {
+          throw new Error(`HTTP 錯誤! 狀態: ${fileResponse.status}`);
+        }
+        return await parseRingSetFile(await fileResponse.arrayBuffer(), fileName);
+      } catch (error) {
+        console.error(`[RingSets] 圓圈組 "${fileName}" 載入失敗:`, error);
+        return null;
+      }
+    })
+  );
+
+  return results.filter(Boolean);
+}
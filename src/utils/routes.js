@@ -0,0 +1,105 @@
+/**
+ * ✈️ 航線模組 (Routes Module)
+ *
+ * 兩點之間的大圓航線（d3.geoInterpolate）與以不同速度估計的旅行時間。
+ * 方位等距投影中，經過投影中心的大圓是放射狀直線；不經過中心的大圓投影後是曲線，
+ * 因此航線沿大圓取樣成 LineString，交給 d3.geoPath 投影與裁切。
+ *
+ * 📁 相關文件：
+ * - ../tabs/MapTab.vue - 航線圖層、航線面板與圓圈的旅行時間
+ * - ./ringSets.js - EARTH_RADIUS_KM
+ */
+
+import * as d3 from 'd3';
+import { EARTH_RADIUS_KM } from './ringSets.js';
+
+/** 📐 航線取樣間隔（度），取樣點之間 d3.geoPath 仍沿大圓連接 */
+const SAMPLE_STEP_DEGREES = 2;
+
+/**
+ * 🚀 旅行速度（km/s），依速度由慢到快排列
+ * 航海家 1 號為目前相對太陽的速度；假想火箭為持續以 0.1% 光速飛行
+ */
+export const TRAVEL_SPEEDS = [
+  { id: 'airliner', label: '客機', kmPerSecond: 900 / 3600, description: '巡航約 900 km/h' },
+  { id: 'voyager', label: '航海家 1 號', kmPerSecond: 17, description: '約 17 km/s' },
+  { id: 'rocket', label: '假想火箭', kmPerSecond: 299.792458, description: '0.1% 光速' },
+  { id: 'light', label: '光速', kmPerSecond: 299792.458, description: '299,792 km/s' },
+];
+
+/** 🚀 預設的旅行速度 */
+export const DEFAULT_TRAVEL_SPEED = 'airliner';
+
+/**
+ * 以指定速度走完一段距離所需的時間
+ *
+ * @param {number} distanceKm - 距離（公里）
+ * @param {string} speedId - TRAVEL_SPEEDS 的 id
+ * @returns {number} 秒
+ * @throws {Error} 當速度不存在時拋出錯誤
+ */
+export function travelTimeSeconds(distanceKm, speedId) {
+  const speed = TRAVEL_SPEEDS.find((item) => item.id === speedId);
+  if (!speed) {
+    throw new Error(`不支援的旅行速度 "${speedId}"`);
+  }
+  return distanceKm / speed.kmPerSecond;
+}
+
+const durationFormatter = new Intl.NumberFormat('en-US', { maximumSignificantDigits: 3 });
+
+/**
+ * 把秒數轉為易讀的時間（取最大的兩個單位）
+ *
+ * @param {number} seconds - 秒
+ * @returns {string} 例如 "8 分 19 秒"、"2 小時 35 分"、"1.27 秒"、"47.5 年"
+ */
+export function formatDuration(seconds) {
+  if (seconds < 60) return `${durationFormatter.format(seconds)} 秒`;
+
+  const whole = Math.round(seconds);
+  if (whole < 3600) {
+    const rest = whole % 60;
+    return rest ? `${Math.floor(whole / 60)} 分 ${rest} 秒` : `${whole / 60} 分`;
+  }
+
+  const minutes = Math.round(seconds / 60);
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return minutes % 60 ? `${hours} 小時 ${minutes % 60} 分` : `${hours} 小時`;
+
+  const days = Math.floor(hours / 24);
+  if (days < 365) return hours % 24 ? `${days} 天 ${hours % 24} 小時` : `${days} 天`;
+
+  return `${durationFormatter.format(seconds / (365.25 * 86400))} 年`;
+}
+
+/**
+ * 建立兩點之間的大圓航線
+ *
+ * @param {Array<number>} from - 起點 [經度, 緯度]
+ * @param {Array<number>} to - 終點 [經度, 緯度]
+ * @returns {Object} { distanceKm, interpolate, lineAt }
+ *   interpolate(t) 為沿大圓 t（0–1）處的座標；lineAt(progress) 為起點到 progress 處的 LineString（動畫用）
+ *
+ * @example
+ * const route = createGreatCircleRoute([121.56, 25.03], [-0.13, 51.51]);
+ * path(route.lineAt(0.5)); // 台北到倫敦的前半段
+ */
+export function createGreatCircleRoute(from, to) {
+  const interpolate = d3.geoInterpolate(from, to);
+  const angle = d3.geoDistance(from, to);
+  const steps = Math.max(1, Math.ceil((angle * 180) / Math.PI / SAMPLE_STEP_DEGREES));
+
+  return {
+    distanceKm: angle * EARTH_RADIUS_KM,
+    interpolate,
+    lineAt(progress = 1) {
+      const end = Math.min(Math.max(progress, 0), 1);
+      const coordinates = d3
+        .range(Math.floor(end * steps) + 1)
+        .map((i) => interpolate(i / steps))
+        .concat((end * steps) % 1 ? [interpolate(end)] : []);
+      return { type: 'LineString', coordinates };
+    },
+  };
+}
@@ -0,0 +1,192 @@
+/**
+ * 🔗 網址狀態模組 (URL State Module)
+ *
+ * 把地圖的檢視狀態寫進網址查詢字串，讓目前的畫面可以直接分享，並在載入時還原。
+ *
+ * 📋 查詢參數：
+ * - center=121.5654,25.0330   投影中心（經度,緯度）
+ * - set=distance              圓圈組（ringMode）
+ * - ring=3                    固定顯示交會清單的圓圈索引
+ * - city=Taipei               選取的城市（cityLocations 的 name）
+ * - scale=AU:149.6            比例尺（與圓圈組預設值相同時省略）
+ * - date=2024-03-20           行星儀日期（僅在圓圈組含行星時寫入）
+ * - proj=orthographic         投影（預設的方位等距投影省略）
+ * - origins=Taipei|Sydney     額外的圓圈中心（城市名稱，以 | 分隔）
+ * - routes=>Tokyo|Taipei>London  航線（起點>終點，以 | 分隔；起點留空為投影中心）
+ * - speed=light               航線的旅行速度（預設的客機省略）
+ * - zoom=4                    縮放倍率（1 時省略）
+ *
+ * ⚠️ 不使用 p、q 兩個參數名稱：public/404.html 與 index.html 以它們轉址 GitHub Pages 的深層連結。
+ *
+ * 📁 相關文件：
+ * - ../tabs/MapTab.vue - 監聽狀態寫入網址，並在上一頁 / 下一頁時還原
+ * - ../router/index.js - createWebHistory 基礎路徑
+ */
+
+import { isValidCoordinate } from './utils.js';
+import { SCALE_UNITS } from './ringSets.js';
+import { DEFAULT_PROJECTION, PROJECTIONS } from './projections.js';
+import { DEFAULT_TRAVEL_SPEED, TRAVEL_SPEEDS } from './routes.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * 將地圖狀態轉為查詢參數
+ *
+ * @param {Object} state
+ * @param {Array<number>} state.center - 投影中心 [經度, 緯度]
+ * @param {string} [state.ringMode] - 圓圈組 id
+ * @param {number|null} [state.ring] - 固定的圓圈索引
+ * @param {string|null} [state.city] - 選取的城市名稱
+ * @param {Object|null} [state.scale] - 比例尺 { unit, earthKm }，與預設值相同時傳 null
+ * @param {Date|null} [state.date] - 行星儀日期
+ * @param {string} [state.projection] - 投影 id
+ * @param {Array<string>} [state.origins] - 額外圓圈中心的城市名稱
+ * @param {Array<Object>} [state.routes] - 航線 [{ from, to }]（from 為 null 時起點是投影中心）
+ * @param {string} [state.speed] - 航線的旅行速度 id
+ * @param {number} [state.zoom] - 縮放倍率
+ * @returns {Object} 查詢參數物件（值皆為字串）
+ */
+export function serializeMapState(state) {
+  const query = {
+    center: state.center.map((value) => value.toFixed(4)).join(','),
+  };
+
+  if (state.ringMode) query.set = state.ringMode;
+  if (Number.isInteger(state.ring)) query.ring = String(state.ring);
+  if (state.city) query.city = state.city;
+  if (state.scale) {
+    query.scale = `${state.scale.unit}:${Number(state.scale.earthKm.toPrecision(6))}`;
+  }
+  if (state.date) query.date = state.date.toISOString().slice(0, 10);
+  if (state.projection && state.projection !== DEFAULT_PROJECTION) {
+    query.proj = state.projection;
+  }
+  if (state.origins?.length) query.origins = state.origins.join('|');
+  if (state.routes?.length) {
+    query.routes = state.routes.map(({ from, to }) => `${from ?? ''}>${to}`).join('|');
+  }
+  if (state.speed && state.speed !== DEFAULT_TRAVEL_SPEED) query.speed = state.speed;
+  if (state.zoom && Math.abs(state.zoom - 1) > 1e-3) {
+    query.zoom = String(Number(state.zoom.toPrecision(4)));
+  }
+
+  return query;
+}
+
+/**
+ * 解析查詢參數為地圖狀態，無效的參數會被忽略
+ *
+ * @param {Object} query - vue-router 的 route.query
+ * @returns {Object} { center, ringMode, ring, city, scale, date, projection, origins, routes, speed, zoom }，
+ * 缺少的欄位為 null（origins、routes 為空陣列）
+ *
+ * @example
+ * parseMapState({ center: '151.2093,-33.8688', set: 'distance' });
+ * // { center: [151.2093, -33.8688], ringMode: 'distance', ring: null, ... }
+ */
+export function parseMapState(query) {
+  const read = (key) => (typeof query[key] === 'string' && query[key] !== '' ? query[key] : null);
+  const state = {
+    center: null,
+    ringMode: null,
+    ring: null,
+    city: null,
+    scale: null,
+    date: null,
+    projection: null,
+    origins: [],
+    routes: [],
+    speed: null,
+    zoom: null,
+  };
+
+  const center = read('center');
+  if (center) {
+    const [lon, lat] = center.split(',').map(Number);
+    if (isValidCoordinate(lat, lon)) {
+      state.center = [lon, lat];
+    } else {
+      console.warn('⚠️ [UrlState] 無效的中心座標:', center);
+    }
+  }
+
+  state.ringMode = read('set');
+  state.city = read('city');
+
+  const ring = Number(read('ring'));
+  if (read('ring') !== null && Number.isInteger(ring) && ring >= 0) {
+    state.ring = ring;
+  }
+
+  const scale = read('scale');
+  if (scale) {
+    const [unit, earthKm] = scale.split(':');
+    if (Object.hasOwn(SCALE_UNITS, unit) && Number(earthKm) > 0) {
+      state.scale = { unit, earthKm: Number(earthKm) };
+    } else {
+      console.warn('⚠️ [UrlState] 無效的比例尺:', scale);
+    }
+  }
+
+  const date = read('date');
+  if (date && DATE_PATTERN.test(date) && !Number.isNaN(Date.parse(`${date}T00:00:00Z`))) {
+    state.date = new Date(`${date}T00:00:00Z`);
+  }
+
+  const projection = read('proj');
+  if (projection) {
+    if (Object.hasOwn(PROJECTIONS, projection)) {
+      state.projection = projection;
+    } else {
+      console.warn('⚠️ [UrlState] 無效的投影:', projection);
+    }
+  }
+
+  const origins = read('origins');
+  if (origins) {
+    state.origins = [...new Set(origins.split('|').filter(Boolean))];
+  }
+
+  const routes = read('routes');
+  if (routes) {
+    state.routes = routes
+      .split('|')
+      .map((item) => item.split('>'))
+      .filter((parts) => parts.length === 2 && parts[1])
+      .map(([from, to]) => ({ from: from || null, to }));
+  }
+
+  const speed = read('speed');
+  if (speed) {
+    if (TRAVEL_SPEEDS.some((item) => item.id === speed)) {
+      state.speed = speed;
+    } else {
+      console.warn('⚠️ [UrlState] 無效的旅行速度:', speed);
+    }
+  }
+
+  const zoom = Number(read('zoom'));
+  if (read('zoom') !== null) {
+    if (Number.isFinite(zoom) && zoom > 0) {
+      state.zoom = zoom;
+    } else {
+      console.warn('⚠️ [UrlState] 無效的縮放倍率:', read('zoom'));
+    }
+  }
+
+  return state;
+}
+
+/**
+ * 比較兩組查詢參數是否相同（忽略順序）
+ *
+ * @param {Object} a - 查詢參數
+ * @param {Object} b - 查詢參數
+ * @returns {boolean} 是否相同
+ */
+export function isSameQuery(a, b) {
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length && keysA.every((key) => String(a[key]) === String(b[key]));
+}
@@ -32,6 +32,15 @@
  * 🔢 數學計算工具 (Mathematical Utilities)
  */
 
+/**
+ * 🌍 各距離單位的地球平均半徑（公里、英里、海里）
+ */
+export const EARTH_RADIUS_BY_UNIT = {
+  km: 6371,
+  miles: 3959,
+  nm: 3440.065,
+};
+
 /**
  * 計算兩點之間的距離（使用 Haversine 公式）
  *
@@ -39,7 +48,7 @@
  * @param {number} lon1 - 第一個點的經度
  * @param {number} lat2 - 第二個點的緯度
  * @param {number} lon2 - 第二個點的經度
- * @param {string} unit - 距離單位 ('km' 或 'miles')
+ * @param {string} unit - 距離單位 ('km'、'miles' 或 'nm' 海里)
  * @returns {number} 兩點之間的距離
  *
  * @example
@@ -58,7 +67,7 @@ export function calculateDistance(lat1, lon1, lat2, lon2, unit = 'km') {
   }
 
   // 🌍 Haversine 公式計算距離 (Haversine Formula)
-  const R = unit === 'miles' ? 3959 : 6371; // 地球半徑（英里或公里）
+  const R = EARTH_RADIUS_BY_UNIT[unit] ?? EARTH_RADIUS_BY_UNIT.km; // 地球半徑（未知單位以公里計）
   const dLat = toRadians(lat2 - lat1);
   const dLon = toRadians(lon2 - lon1);
 
@@ -209,6 +218,31 @@ export function generateRandomString(
   return result;
 }
 
+/**
+ * 取得路徑中不含副檔名的檔名
+ *
+ * @param {string} fileName - 檔名或路徑
+ * @returns {string} 檔名主體，例如 "data/planets.csv" 為 "planets"
+ */
+export function baseName(fileName) {
+  return String(fileName)
+    .split('/')
+    .pop()
+    .replace(/\.[^.]+$/, '');
+}
+
+/**
+ * 將字串或數字轉為數值（字串可含千分位逗號，例如試算表匯出的 "1,234"）
+ *
+ * @param {any} value - 原始值
+ * @returns {number} 數值，空字串或無法轉換時為 NaN
+ */
+export function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string' || value.trim() === '') return NaN;
+  return Number(value.replace(/,/g, '').trim());
+}
+
 /**
  * 📊 數據處理工具 (Data Processing Utilities)
  */
@@ -235,7 +269,7 @@ export function deepClone(obj) {
   if (typeof obj === 'object') {
     const clonedObj = {};
     for (const key in obj) {
-      if (obj.hasOwnProperty(key)) {
+      if (Object.prototype.hasOwnProperty.call(obj, key)) {
         clonedObj[key] = deepClone(obj[key]);
       }
     }
@@ -344,6 +378,128 @@ export function decimalToDMS(decimal, isLatitude = true) {
   return `${degrees}°${minutes}'${seconds.toFixed(2)}"${direction}`;
 }
 
+/**
+ * 計算從第一點出發前往第二點的初始方位角（大圓航線起始方向）
+ *
+ * @param {number} lat1 - 起點緯度
+ * @param {number} lon1 - 起點經度
+ * @param {number} lat2 - 終點緯度
+ * @param {number} lon2 - 終點經度
+ * @returns {number} 方位角（度），以正北為 0°、順時針 0–360°
+ *
+ * @example
+ * const bearing = calculateBearing(25.04583, 121.51972, 35.6762, 139.6503);
+ * console.log('方位角:', bearing, '°'); // 約 51°（東北）
+ */
+export function calculateBearing(lat1, lon1, lat2, lon2) {
+  // 🔍 參數驗證 (Parameter Validation)
+  if (
+    typeof lat1 !== 'number' ||
+    typeof lon1 !== 'number' ||
+    typeof lat2 !== 'number' ||
+    typeof lon2 !== 'number'
+  ) {
+    throw new Error('所有座標參數必須是數字');
+  }
+
+  const phi1 = toRadians(lat1);
+  const phi2 = toRadians(lat2);
+  const dLon = toRadians(lon2 - lon1);
+
+  const y = Math.sin(dLon) * Math.cos(phi2);
+  const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLon);
+
+  return (toDegrees(Math.atan2(y, x)) + 360) % 360;
+}
+
+/**
+ * 計算從起點沿指定方位角前進指定大圓距離後的終點
+ *
+ * @param {number} lat - 起點緯度
+ * @param {number} lon - 起點經度
+ * @param {number} bearing - 方位角（度，正北為 0°、順時針）
+ * @param {number} distanceKm - 大圓距離（公里），可超過半圈
+ * @returns {Array<number>} 終點座標 [經度, 緯度]
+ *
+ * @example
+ * const [lon, lat] = destinationPoint(25.04583, 121.51972, 90, 1000);
+ */
+export function destinationPoint(lat, lon, bearing, distanceKm) {
+  const angularDistance = distanceKm / 6371;
+  const phi1 = toRadians(lat);
+  const lambda1 = toRadians(lon);
+  const theta = toRadians(bearing);
+
+  const sinPhi2 =
+    Math.sin(phi1) * Math.cos(angularDistance) +
+    Math.cos(phi1) * Math.sin(angularDistance) * Math.cos(theta);
+  const phi2 = Math.asin(clamp(sinPhi2, -1, 1));
+  const lambda2 =
+    lambda1 +
+    Math.atan2(
+      Math.sin(theta) * Math.sin(angularDistance) * Math.cos(phi1),
+      Math.cos(angularDistance) - Math.sin(phi1) * sinPhi2
+    );
+
+  const lon2 = ((toDegrees(lambda2) + 540) % 360) - 180;
+  return [lon2, toDegrees(phi2)];
+}
+
+/**
+ * 將方位角轉換為十六方位羅盤名稱
+ *
+ * @param {number} bearing - 方位角（度）
+ * @returns {string} 羅盤方位（如 'N'、'NE'、'SSW'）
+ */
+export function bearingToCompass(bearing) {
+  const points = [
+    'N',
+    'NNE',
+    'NE',
+    'ENE',
+    'E',
+    'ESE',
+    'SE',
+    'SSE',
+    'S',
+    'SSW',
+    'SW',
+    'WSW',
+    'W',
+    'WNW',
+    'NW',
+    'NNW',
+  ];
+  const normalized = ((bearing % 360) + 360) % 360;
+  return points[Math.round(normalized / 22.5) % points.length];
+}
+
+/**
+ * 將方位角轉換為象限方位（測量常用的寫法）
+ *
+ * @param {number} bearing - 方位角（度）
+ * @returns {string} 象限方位（如 'N'、'N30°E'、'S60°W'）
+ *
+ * @example
+ * bearingToQuadrant(120); // 'S60°E'
+ */
+export function bearingToQuadrant(bearing) {
+  const normalized = Math.round(((bearing % 360) + 360) % 360) % 360;
+  const cardinals = { 0: 'N', 90: 'E', 180: 'S', 270: 'W' };
+  if (cardinals[normalized]) return cardinals[normalized];
+
+  const isNorth = normalized < 90 || normalized > 270;
+  const isEast = normalized < 180;
+  const angle = isNorth
+    ? isEast
+      ? normalized
+      : 360 - normalized
+    : isEast
+      ? 180 - normalized
+      : normalized - 180;
+  return `${isNorth ? 'N' : 'S'}${angle}°${isEast ? 'E' : 'W'}`;
+}
+
 /**
  * 🎨 UI 工具 (UI Utilities)
  */
@@ -364,11 +520,12 @@ export function generateRandomColor(type = 'hex') {
       return `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}`;
     case 'rgb':
       return `rgb(${r}, ${g}, ${b})`;
-    case 'hsl':
+    case 'hsl': {
       const h = Math.floor(Math.random() * 360);
       const s = Math.floor(Math.random() * 100);
       const l = Math.floor(Math.random() * 100);
       return `hsl(${h}, ${s}%, ${l}%)`;
+    }
     default:
       throw new Error('不支援的顏色類型');
   }
@@ -0,0 +1,152 @@
+/**
+ * 🧭 單位四元數旋轉模組 (Versor Module)
+ *
+ * 拖曳地球時，讓游標下的地點跟著游標移動：把起點與目前位置轉成單位球上的向量，
+ * 以兩者之間的旋轉（四元數）乘上起始旋轉，再換回 d3 投影的 rotate 角度。
+ * 相較於直接把螢幕位移換算成經緯度，這種方式在高緯度與地圖邊緣也不會扭轉。
+ *
+ * 演算法參考 Jason Davies 的 versor dragging 與 d3 範例 https://observablehq.com/@d3/versor-dragging
+ *
+ * 📁 相關文件：
+ * - ../tabs/MapTab.vue - 拖曳旋轉地球
+ */
+
+const RADIANS = Math.PI / 180;
+const DEGREES = 180 / Math.PI;
+
+/**
+ * 經緯度轉為單位球上的直角座標
+ *
+ * @param {Array<number>} coordinates - [經度, 緯度]（度）
+ * @returns {Array<number>} [x, y, z]
+ */
+export function toCartesian([lambda, phi]) {
+  const l = lambda * RADIANS;
+  const p = phi * RADIANS;
+  const cosPhi = Math.cos(p);
+  return [cosPhi * Math.cos(l), cosPhi * Math.sin(l), Math.sin(p)];
+}
+
+/**
+ * d3 投影的 rotate 角度轉為四元數
+ *
+ * @param {Array<number>} rotation - [lambda, phi, gamma]（度）
+ * @returns {Array<number>} 四元數 [w, x, y, z]
+ */
+export function fromRotation([lambda, phi, gamma = 0]) {
+  const l = (lambda / 2) * RADIANS;
+  const p = (phi / 2) * RADIANS;
+  const g = (gamma / 2) * RADIANS;
+  const sl = Math.sin(l);
+  const cl = Math.cos(l);
+  const sp = Math.sin(p);
+  const cp = Math.cos(p);
+  const sg = Math.sin(g);
+  const cg = Math.cos(g);
+
+  return [
+    cl * cp * cg + sl * sp * sg,
+    sl * cp * cg - cl * sp * sg,
+    cl * sp * cg + sl * cp * sg,
+    cl * cp * sg - sl * sp * cg,
+  ];
+}
+
+/**
+ * 四元數轉回 d3 投影的 rotate 角度
+ *
+ * @param {Array<number>} q - 四元數 [w, x, y, z]
+ * @returns {Array<number>} [lambda, phi, gamma]（度）
+ */
+export function toRotation([a, b, c, d]) {
+  return [
+    Math.atan2(2 * (a * b + c * d), 1 - 2 * (b * b + c * c)) * DEGREES,
+    Math.asin(Math.max(-1, Math.min(1, 2 * (a * c - d * b)))) * DEGREES,
+    Math.atan2(2 * (a * d + b * c), 1 - 2 * (c * c + d * d)) * DEGREES,
+  ];
+}
+
+/**
+ * 由向量 v0 轉到 v1 的四元數
+ *
+ * @param {Array<number>} v0 - 起點向量
+ * @param {Array<number>} v1 - 終點向量
+ * @returns {Array<number>} 四元數 [w, x, y, z]
+ */
+export function delta(v0, v1) {
+  const w = [
+    v0[1] * v1[2] - v0[2] * v1[1],
+    v0[2] * v1[0] - v0[0] * v1[2],
+    v0[0] * v1[1] - v0[1] * v1[0],
+  ];
+  const length = Math.hypot(...w);
+  if (!length) return [1, 0, 0, 0];
+
+  const dot = Math.max(-1, Math.min(1, v0[0] * v1[0] + v0[1] * v1[1] + v0[2] * v1[2]));
+  const theta = Math.acos(dot) / 2;
+  const s = Math.sin(theta);
+  return [Math.cos(theta), (w[2] / length) * s, (-w[1] / length) * s, (w[0] / length) * s];
+}
+
+/**
+ * 四元數相乘（先套用 q0，再套用 q1）
+ *
+ * @param {Array<number>} q0 - 四元數
+ * @param {Array<number>} q1 - 四元數
+ * @returns {Array<number>} 四元數
+ */
+export function multiply([a1, b1, c1, d1], [a2, b2, c2, d2]) {
+  return [
+    a1 * a2 - b1 * b2 - c1 * c2 - d1 * d2,
+    a1 * b2 + b1 * a2 + c1 * d2 - d1 * c2,
+    a1 * c2 - b1 * d2 + c1 * a2 + d1 * b2,
+    a1 * d2 + b1 * c2 - c1 * b2 + d1 * a2,
+  ];
+}
+
+/**
+ * 計算拖曳後的投影旋轉（保持北方朝上）
+ * 先以四元數求出讓起點跟著游標的旋轉，捨棄 gamma 後再以牛頓法微調經緯度，
+ * 讓起點盡量回到游標下；微調失敗（例如游標超出可到達的範圍）時沿用捨棄 gamma 的結果
+ *
+ * @param {Function} projection - d3 投影（計算時會暫時改變 rotate，呼叫端需再設定）
+ * @param {Object} start - 拖曳起點
+ * @param {Array<number>} start.coordinates - 起點的經緯度
+ * @param {Array<number>} start.rotation - 起點時投影的 rotate
+ * @param {Array<number>} point - 游標目前的螢幕座標
+ * @returns {Array<number>|null} [lambda, phi]（度），無法計算時為 null
+ */
+export function dragRotation(projection, { coordinates, rotation }, point) {
+  const current = projection.rotate(rotation).invert(point);
+  if (!current || current.some((value) => !Number.isFinite(value))) return null;
+
+  const q = multiply(fromRotation(rotation), delta(toCartesian(coordinates), toCartesian(current)));
+  const [lambda0, phi0] = toRotation(q);
+
+  const offset = (lambda, phi) => {
+    const projected = projection.rotate([lambda, phi])(coordinates);
+    return projected ? [projected[0] - point[0], projected[1] - point[1]] : [Infinity, Infinity];
+  };
+  const error = (lambda, phi) => Math.hypot(...offset(lambda, phi));
+
+  let [lambda, phi] = [lambda0, phi0];
+  const h = 1e-3;
+  for (let i = 0; i < 4; i++) {
+    const e = offset(lambda, phi);
+    if (Math.hypot(...e) < 0.01) break;
+
+    const el = offset(lambda + h, phi);
+    const ep = offset(lambda, phi + h);
+    const a = (el[0] - e[0]) / h;
+    const b = (ep[0] - e[0]) / h;
+    const c = (el[1] - e[1]) / h;
+    const d = (ep[1] - e[1]) / h;
+    const det = a * d - b * c;
+    if (!Number.isFinite(det) || !det) break;
+
+    lambda -= (d * e[0] - b * e[1]) / det;
+    phi = Math.max(-90, Math.min(90, phi - (a * e[1] - c * e[0]) / det));
+  }
+
+  return error(lambda, phi) < error(lambda0, phi0) ? [lambda, phi] : [lambda0, phi0];
+}
@@ -0,0 +1,130 @@
+/**
+ * 🌍 國界資料模組 (World Data Module)
+ *
+ * 國家邊界有三種 Natural Earth 精細度，依畫面上每度經緯的像素數（縮放倍率與視窗大小）選擇：
+ * - 1:110m：ne_110m_admin_0_countries.geojson，含完整的 Natural Earth 屬性，啟動時載入
+ * - 1:50m、1:10m：world-atlas 的 TopoJSON（countries-50m.json、countries-10m.json），放大後才載入
+ *
+ * world-atlas 只保留 ISO 3166-1 數字代碼（id）與名稱，因此載入後依 NAME、ISO_N3_EH 對應回 1:110m
+ * 的屬性，主題圖、國家名稱與圓圈交會在不同精細度下使用相同的國家鍵值（getCountryKey）。
+ * 1:110m 沒有的小島與屬地只有名稱。
+ *
+ * 📁 相關文件：
+ * - ../tabs/MapTab.vue - 依縮放載入並切換國界
+ * - ./reprojection.js - GeoJSON 依宣告的 crs 轉換為 WGS84
+ * - ../../public/data/ - 國界資料檔
+ */
+
+import { feature } from 'topojson-client';
+import { reprojectFeatureCollection, readGeoJsonCrs, WGS84 } from './reprojection.js';
+
+/**
+ * 🗺️ 國界精細度，依 minDetail（每度經緯的畫面像素）由粗到細排列
+ * 全球大約佔滿畫面時每度 2–3 像素；放大到約 3 倍換 1:50m，放大到單一國家的尺度換 1:10m
+ */
+export const COUNTRY_RESOLUTIONS = [
+  { id: '110m', label: '1:110m', file: 'data/ne_110m_admin_0_countries.geojson', minDetail: 0 },
+  { id: '50m', label: '1:50m', file: 'data/countries-50m.json', minDetail: 8 },
+  { id: '10m', label: '1:10m', file: 'data/countries-10m.json', minDetail: 40 },
+];
+
+/** 🗺️ 啟動時載入的精細度（含完整屬性，其餘精細度以此對應屬性） */
+export const BASE_COUNTRY_RESOLUTION = '110m';
+
+/**
+ * 依畫面細節選擇國界精細度
+ *
+ * @param {number} detail - 每度經緯的畫面像素
+ * @returns {string} 精細度 id
+ */
+export function chooseCountryResolution(detail) {
+  return [...COUNTRY_RESOLUTIONS].reverse().find((resolution) => detail >= resolution.minDetail).id;
+}
+
+/**
+ * 把 GeoJSON 或 TopoJSON 轉為 WGS84 經緯度的 FeatureCollection
+ * TopoJSON 使用 countries 物件（沒有時使用第一個物件）
+ *
+ * @param {Object} raw - 解析後的 JSON
+ * @returns {Object} FeatureCollection
+ * @throws {Error} 當格式無法辨識時拋出錯誤
+ */
+export function parseWorldData(raw) {
+  if (raw?.type === 'Topology') {
+    const objects = raw.objects || {};
+    const object = objects.countries || Object.values(objects)[0];
+    if (!object) {
+      throw new Error('TopoJSON 沒有任何物件');
+    }
+    const collection = feature(raw, object);
+    return collection.type === 'FeatureCollection'
+      ? collection
+      : { type: 'FeatureCollection', features: [collection] };
+  }
+
+  if (raw?.type === 'FeatureCollection') {
+    // 依檔案宣告的 crs（Natural Earth 為 CRS84）轉換為 WGS84 經緯度
+    return reprojectFeatureCollection(raw, readGeoJsonCrs(raw) || WGS84).data;
+  }
+
+  throw new Error('國界資料必須是 GeoJSON FeatureCollection 或 TopoJSON');
+}
+
+/**
+ * 依名稱或 ISO 3166-1 數字代碼，把基本資料的屬性對應到其他精細度的國家
+ * 先比對名稱；名稱不同時才用代碼，且每個基本國家只對應一次（屬地常與母國共用代碼，例如澳洲的小島）
+ * 對應後的國家不保留 TopoJSON 的 id，國家鍵值與基本資料相同
+ *
+ * @param {Array<Object>} features - 其他精細度的國家（world-atlas：id 與 properties.name）
+ * @param {Array<Object>} baseFeatures - 含完整屬性的國家
+ * @returns {Array<Object>} 帶有基本資料屬性的國家
+ */
+export function joinCountryProperties(features, baseFeatures) {
+  const byCode = new Map();
+  const byName = new Map();
+  baseFeatures.forEach((base) => {
+    const { ISO_N3_EH: code, NAME: name } = base.properties || {};
+    if (code && Number(code) > 0) byCode.set(String(code).padStart(3, '0'), base.properties);
+    if (name) byName.set(name, base.properties);
+  });
+
+  const getName = (item) => item.properties?.name ?? item.properties?.NAME;
+  const used = new Set(features.map((item) => byName.get(getName(item))).filter(Boolean));
+
+  return features.map((item) => {
+    const name = getName(item);
+    let properties = byName.get(name);
+    if (!properties) {
+      const byId = item.id ? byCode.get(String(item.id)) : null;
+      properties = byId && !used.has(byId) ? byId : { NAME: name, ADMIN: name };
+      used.add(properties);
+    }
+    return { type: 'Feature', properties, geometry: item.geometry };
+  });
+}
+
+/**
+ * 載入指定精細度的國界
+ *
+ * @param {string} baseUrl - 網站根目錄（process.env.BASE_URL）
+ * @param {string} id - 精細度 id
+ * @param {Array<Object>} [baseFeatures] - 含完整屬性的國家（載入其他精細度時用來對應屬性）
+ * @returns {Promise<Object>} FeatureCollection
+ * @throws {Error} 當精細度不存在或檔案無法載入、解析時拋出錯誤
+ */
+export async function loadCountryData(baseUrl, id, baseFeatures = null) {
+  const resolution = COUNTRY_RESOLUTIONS.find((item) => item.id === id);
+  if (!resolution) {
+    throw new Error(`不支援的國界精細度 "${id}"`);
+  }
+
+  const response = await fetch(`${baseUrl}${resolution.file}`);
+  if (!response.ok) {
+    throw new Error(`無法載入 ${resolution.label} 國界（HTTP ${response.status}）`);
+  }
+
+  const data = parseWorldData(await response.json());
+  if (!baseFeatures || id === BASE_COUNTRY_RESOLUTION) return data;
+
+  return { ...data, features: joinCountryProperties(data.features, baseFeatures) };
+}